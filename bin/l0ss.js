@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * l0ss CLI entry point
+ */
+
+import { run } from '../src/cli/l0ss.js';
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, error => {
+  console.error(`l0ss: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -12,7 +12,28 @@ const urlsToCache = [
   '/src/app.js',
   '/src/utils/file-type-detector.js',
   '/src/utils/file-handler.js',
+  '/src/utils/zip-writer.js',
+  '/src/utils/restore.js',
+  '/src/utils/json-reader.js',
+  '/src/utils/csv-parser.js',
+  '/src/utils/csv-profile.js',
+  '/src/utils/worker-pool.js',
+  '/src/utils/plugins.js',
+  '/src/utils/manifest.js',
+  '/src/utils/field-rules.js',
+  '/src/utils/number-precision.js',
+  '/src/utils/redaction.js',
+  '/src/utils/sampling.js',
+  '/src/utils/numeric-encoding.js',
+  '/src/utils/arrow-writer.js',
+  '/src/utils/outliers.js',
+  '/src/utils/time-series.js',
+  '/src/workers/compression-worker.js',
+  '/src/compression/engines.js',
   '/src/compression/json.js',
+  '/src/compression/json-stream.js',
+  '/src/compression/json-fixture.js',
+  '/src/compression/ndjson.js',
   '/src/compression/csv.js',
   '/src/compression/javascript.js',
   '/src/compression/html-css.js',
@@ -3,18 +3,15 @@
  * 100% client-side lossy compression with preview and advanced options
  */
 
-import { compressJSON } from './compression/json.js';
-import { compressCSV } from './compression/csv.js';
-import { compressJavaScript } from './compression/javascript.js';
-import { compressHTML, compressCSS } from './compression/html-css.js';
-import { compressSQL } from './compression/sql.js';
-import { compressSVG } from './compression/svg.js';
-import { compressXML, compressYAML } from './compression/xml-yaml.js';
-import { compressText } from './compression/text.js';
-import { detectFileType } from './utils/file-type-detector.js';
+import { detectFileTypeWithConfidence, getSupportedExtensions } from './utils/file-type-detector.js';
+import { getSupportedTypes, canStream, STREAMING_THRESHOLD } from './compression/engines.js';
 import { downloadFile, downloadZip } from './utils/file-handler.js';
 import { getOptionsForFileType, formatOptionName } from './utils/compression-options.js';
-import { analyzeFile } from './utils/preview.js';
+import { analyzeFile, findTargetConfiguration } from './utils/preview.js';
+import { restore, describeReversibility } from './utils/restore.js';
+import { createManifest } from './utils/manifest.js';
+import { getCompressionPool, isAbortError } from './utils/worker-pool.js';
+import { loadPlugin } from './utils/plugins.js';
 
 // State
 let selectedFiles = [];
@@ -25,6 +22,11 @@ let compressionLevel = 'moderate';
 let customOptions = {};
 let previewData = null;
 let compressionResults = [];
+let activeJob = null; // AbortController of the running analysis/compression
+const fileDetections = new WeakMap(); // File → { type, confidence, source }
+
+// Bytes read from each file for content sniffing
+const SNIFF_BYTES = 64 * 1024;
 
 // DOM Elements
 const uploadArea = document.getElementById('uploadArea');
@@ -46,22 +48,13 @@ const downloadAllBtn = document.getElementById('downloadAllBtn');
 const resetBtn = document.getElementById('resetBtn');
 const loading = document.getElementById('loading');
 const loadingText = document.getElementById('loadingText');
+const cancelBtn = document.getElementById('cancelBtn');
 const installBtn = document.getElementById('installBtn');
-
-// Compression engine mapping
-const compressionEngines = {
-  JSON: compressJSON,
-  CSV: compressCSV,
-  JavaScript: compressJavaScript,
-  HTML: compressHTML,
-  CSS: compressCSS,
-  SQL: compressSQL,
-  SVG: compressSVG,
-  XML: compressXML,
-  YAML: compressYAML,
-  Text: compressText,
-  Markdown: compressText
-};
+const restoreBtn = document.getElementById('restoreBtn');
+const restoreSection = document.getElementById('restoreSection');
+const restoreFileInput = document.getElementById('restoreFileInput');
+const restoreManifestInput = document.getElementById('restoreManifestInput');
+const restoreResult = document.getElementById('restoreResult');
 
 // Event Listeners
 browseBtn.addEventListener('click', () => fileInput.click());
@@ -71,6 +64,13 @@ uploadArea.addEventListener('drop', handleDrop);
 compressBtn.addEventListener('click', compressFiles);
 downloadAllBtn.addEventListener('click', downloadAllFiles);
 resetBtn.addEventListener('click', reset);
+restoreBtn.addEventListener('click', showRestore);
+document.getElementById('restoreRunBtn').addEventListener('click', restoreFile);
+document.getElementById('restoreCancelBtn').addEventListener('click', () => hideSection(restoreSection));
+cancelBtn.addEventListener('click', cancelActiveJob);
+document.getElementById('targetBtn').addEventListener('click', findTarget);
+
+loadConfiguredPlugins();
 
 // Compress from preview button
 const compressFromPreviewBtn = document.getElementById('compressFromPreview');
@@ -231,6 +231,12 @@ async function loadSampleFile(filename) {
 }
 
 async function addFiles(files) {
+  // Detect each file's type from its name and the start of its content
+  await Promise.all(files.map(async file => {
+    const sample = await file.slice(0, SNIFF_BYTES).text();
+    fileDetections.set(file, detectFileTypeWithConfidence(file.name, sample));
+  }));
+
   selectedFiles = [...selectedFiles, ...files];
   updateFilesList();
   showSection(filesSection);
@@ -249,7 +255,13 @@ function updateFilesList() {
         <div class="file-icon">${getFileIcon(file.name)}</div>
         <div>
           <div class="file-name">${file.name}</div>
-          <div class="file-meta">${formatBytes(file.size)} • ${detectFileType(file.name)}</div>
+          <div class="file-meta">
+            ${formatBytes(file.size)} •
+            <select class="file-type-select" onchange="setFileType(${index}, this.value)" title="Override the detected file type">
+              ${getSupportedTypes().map(type => `<option value="${type}"${type === getFileType(file) ? ' selected' : ''}>${type}</option>`).join('')}
+            </select>
+            ${formatDetection(fileDetections.get(file))}
+          </div>
         </div>
       </div>
       <button class="btn-remove" onclick="removeFile(${index})">✕</button>
@@ -257,6 +269,37 @@ function updateFilesList() {
   `).join('');
 }
 
+function getFileType(file) {
+  return fileDetections.get(file)?.type || 'Text';
+}
+
+/**
+ * Whether a file is large enough to stream, and its type has a streaming engine
+ */
+function shouldStream(file) {
+  return file.size > STREAMING_THRESHOLD && canStream(getFileType(file));
+}
+
+function formatDetection(detection) {
+  if (!detection) return '';
+  if (detection.source === 'override') {
+    return '<span class="file-type-confidence">set manually</span>';
+  }
+  const percent = Math.round(detection.confidence * 100);
+  const level = percent >= 90 ? 'high' : percent >= 70 ? 'medium' : 'low';
+  return `<span class="file-type-confidence ${level}" title="Detected from ${detection.source}">${percent}% (${detection.source})</span>`;
+}
+
+window.setFileType = function(index, type) {
+  const file = selectedFiles[index];
+  fileDetections.set(file, { type, confidence: 1, source: 'override' });
+  updateFilesList();
+
+  if (index === currentFileIndex && selectedFiles.length === 1) {
+    analyzeFirstFile();
+  }
+};
+
 window.removeFile = function(index) {
   selectedFiles.splice(index, 1);
   updateFilesList();
@@ -277,12 +320,19 @@ async function analyzeFirstFile() {
   const multipleFilesInfo = document.getElementById('multipleFilesInfo');
   const levelSelector = document.getElementById('levelSelector');
 
-  // If multiple files, skip preview and just show settings
-  if (selectedFiles.length > 1) {
+  // If multiple files (or one too large to preview), skip preview and just show settings
+  const streamed = selectedFiles.length === 1 && shouldStream(selectedFiles[0]);
+  if (selectedFiles.length > 1 || streamed) {
     hideSection(previewSection);
     showSection(settingsSection);
     if (multipleFilesInfo) {
       multipleFilesInfo.style.display = 'flex';
+      document.getElementById('multipleFilesTitle').textContent = streamed
+        ? 'Large file selected'
+        : 'Multiple files selected';
+      document.getElementById('multipleFilesText').textContent = streamed
+        ? `${formatBytes(selectedFiles[0].size)} is too large to preview. It will be streamed through the compressor without loading it whole.`
+        : 'Select a compression level below. All files will be compressed with the same settings.';
     }
     if (levelSelector) {
       levelSelector.style.display = 'block';
@@ -302,9 +352,10 @@ async function analyzeFirstFile() {
 
   const file = selectedFiles[0];
   currentFileIndex = 0;
-  currentFileType = detectFileType(file.name);
+  currentFileType = getFileType(file);
 
-  showLoading('⏳ Analyzing file...', 'Reading file contents');
+  const job = startJob();
+  showLoading('⏳ Analyzing file...', { cancellable: true });
 
   try {
     updateProgress(0, '⏳ Analyzing file...', 'Reading file contents');
@@ -318,10 +369,14 @@ async function analyzeFirstFile() {
     // Reset custom options
     customOptions = {};
 
-    updateProgress(60, '⏳ Analyzing file...', 'Processing compression preview');
-
-    // Analyze file
-    previewData = await analyzeFile(currentFileContent, currentFileType, customOptions);
+    // Analyze file (all three levels run in parallel on the worker pool)
+    previewData = await analyzeFile(currentFileContent, currentFileType, customOptions, {
+      signal: job.signal,
+      onProgress: ({ completed, total }) => {
+        updateProgress(20 + Math.round((completed / total) * 60), '⏳ Analyzing file...',
+          `Compressed ${completed} of ${total} levels`);
+      }
+    });
 
     updateProgress(80, '⏳ Analyzing file...', 'Fetching compression options');
 
@@ -341,10 +396,11 @@ async function analyzeFirstFile() {
     showSection(settingsSection);
 
   } catch (error) {
+    if (isAbortError(error)) return;
     console.error('Error analyzing file:', error);
     alert(`Error analyzing file: ${error.message}`);
   } finally {
-    setTimeout(() => hideLoading(), 500); // Brief delay to show 100%
+    finishJob(job, 500); // Brief delay to show 100%
   }
 }
 
@@ -401,10 +457,67 @@ function displayPreview() {
     recommendedCard.appendChild(badge);
   }
 
+  renderColumnProfile(previewData.profile);
+
   // Auto-select recommended level
   selectLevel(recommendedLevel);
 }
 
+// Column profile table (CSV only): type, nulls, range and what each encoding would save
+function renderColumnProfile(profile) {
+  const container = document.getElementById('columnProfile');
+  const tableContainer = document.getElementById('columnProfileTable');
+  if (!profile || profile.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+
+  const formatSaving = saving => {
+    if (saving === null) return '—';
+    return saving > 0 ? formatBytes(saving) : 'none';
+  };
+  const formatRange = value => {
+    if (value === null) return '—';
+    return typeof value === 'number' ? String(Number(value.toPrecision(6))) : value;
+  };
+  const choiceNames = { fold: 'Fold', drop: 'Drop', dictionary: 'Dictionary' };
+
+  const table = document.createElement('table');
+  const headerRow = table.createTHead().insertRow();
+  ['Column', 'Type', 'Distinct', 'Nulls', 'Min', 'Max', 'Numeric saves', 'Dictionary saves', 'Drop saves', 'Choice']
+    .forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+  const body = table.createTBody();
+  profile.forEach(column => {
+    const row = body.insertRow();
+    [
+      column.name,
+      column.type,
+      column.cardinality,
+      `${(column.nullRate * 100).toFixed(1)}%`,
+      formatRange(column.min),
+      formatRange(column.max),
+      column.numericEncoding ? `${formatSaving(column.savings.numeric)} (${column.numericEncoding})` : formatSaving(column.savings.numeric),
+      formatSaving(column.savings.dictionary),
+      formatSaving(column.savings.drop),
+      column.recommended === 'numeric' ? `Numeric (${column.numericEncoding})` : choiceNames[column.recommended] || 'Keep'
+    ].forEach(value => {
+      row.insertCell().textContent = value;
+    });
+    if (column.recommended) {
+      row.lastChild.className = `choice-${column.recommended}`;
+    }
+  });
+
+  tableContainer.innerHTML = '';
+  tableContainer.appendChild(table);
+  container.style.display = 'block';
+}
+
 // Select Compression Level
 function selectLevel(level) {
   compressionLevel = level;
@@ -444,7 +557,8 @@ function formatOperationType(type, count) {
     'remove_empty': 'Remove empty arrays and objects',
     'trim_strings': 'Trim whitespace from strings',
     'shorten_keys': 'Shorten object keys (frequency-based compression)',
-    'round_numbers': 'Round numbers to fewer decimals',
+    'embed_key_map': 'Embed key map for self-describing output',
+    'round_numbers': 'Round numbers to lower precision',
     'deduplicate_arrays': 'Remove duplicate values from arrays',
     'truncate_strings': 'Truncate long strings',
     'flatten_nesting': 'Flatten deeply nested structures',
@@ -457,11 +571,17 @@ function formatOperationType(type, count) {
     'remove_low_variance_columns': 'Remove columns with all same values',
     'truncate_long_text': 'Truncate long text fields',
     'delta_encoding': 'Delta encoding (store differences between consecutive values)',
+    'numeric_encoding': 'Numeric encoding (frame of reference, delta, delta of delta or run length per column)',
+    'fold_constant_columns': 'Fold constant columns into the manifest',
     'dictionary_encoding': 'Dictionary encoding (replace repeated strings with integer codes)',
+    'embed_dictionaries': 'Embed dictionaries and numeric encoding plans in a trailer line',
+    'export_arrow': 'Write as a typed columnar Arrow IPC stream',
     'keep_first_n_columns': 'Keep only first N columns',
     'sample_rows': 'Sample rows (keep every nth row)',
+    'downsample_time_series': 'Downsample time series',
     'remove_non_essential_columns': 'Remove non-essential columns',
     'remove_outliers': 'Remove statistical outliers',
+    'clip_outliers': 'Clip statistical outliers to their fences',
     'statistical_sampling': 'Statistical sampling (keep 30%)',
 
     // JavaScript optimizations
@@ -571,8 +691,14 @@ function showDiffForLevel(level) {
   optimizationsSection.appendChild(optimizationsList);
   diffContent.appendChild(optimizationsSection);
 
-  // SVG Visual Comparison (if file type is SVG)
-  if (currentFileType === 'SVG') {
+  // Binary output (Arrow from CSV) has no text to compare
+  if (typeof compressed !== 'string') {
+    const binaryNote = document.createElement('div');
+    binaryNote.className = 'diff-label';
+    binaryNote.textContent = `After: binary Arrow IPC stream (${formatBytes(compressed.length)}), for DuckDB, pandas and other Arrow readers`;
+    diffContent.appendChild(binaryNote);
+  } else if (currentFileType === 'SVG') {
+    // SVG Visual Comparison
     const visualComparison = document.createElement('div');
     visualComparison.className = 'svg-visual-comparison';
 
@@ -739,18 +865,37 @@ function renderConfigUI(options) {
     // Description
     const desc = document.createElement('div');
     desc.className = 'config-option-desc';
-    desc.textContent = option.description;
+    desc.textContent = option.searchable === false
+      ? `${option.description}. Changes what the output is, so the target search leaves it alone.`
+      : option.description;
     optionDiv.appendChild(desc);
 
-    // Control
+    // Control (shows the current value, which a target search may have changed)
     const control = document.createElement('div');
     control.className = 'config-option-control';
+    const current = customOptions[key] ?? option.default;
 
     // Determine input type based on default value
-    if (typeof option.default === 'boolean') {
+    if (Array.isArray(option.choices)) {
+      const select = document.createElement('select');
+      select.id = `opt-${key}`;
+      option.choices.forEach(choice => {
+        const item = document.createElement('option');
+        item.value = choice;
+        item.textContent = choice;
+        select.appendChild(item);
+      });
+      select.value = current;
+      select.addEventListener('change', () => {
+        customOptions[key] = select.value;
+        refreshPreview();
+      });
+
+      control.appendChild(select);
+    } else if (typeof option.default === 'boolean') {
       const checkbox = document.createElement('input');
       checkbox.type = 'checkbox';
-      checkbox.checked = option.default;
+      checkbox.checked = current;
       checkbox.id = `opt-${key}`;
       checkbox.addEventListener('change', () => {
         customOptions[key] = checkbox.checked;
@@ -770,13 +915,29 @@ function renderConfigUI(options) {
 
       const input = document.createElement('input');
       input.type = 'number';
-      input.value = option.default;
+      input.value = current;
       input.id = `opt-${key}`;
       input.addEventListener('input', () => {
         customOptions[key] = parseFloat(input.value) || option.default;
         refreshPreview();
       });
 
+      control.appendChild(label);
+      control.appendChild(input);
+    } else if (typeof option.default === 'string') {
+      const label = document.createElement('label');
+      label.textContent = 'Value:';
+      label.style.marginRight = '0.5rem';
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = current;
+      input.id = `opt-${key}`;
+      input.addEventListener('input', () => {
+        customOptions[key] = input.value;
+        refreshPreview();
+      });
+
       control.appendChild(label);
       control.appendChild(input);
     } else if (Array.isArray(option.default)) {
@@ -786,7 +947,7 @@ function renderConfigUI(options) {
 
       const input = document.createElement('input');
       input.type = 'text';
-      input.value = option.default.join(', ');
+      input.value = current.join(', ');
       input.id = `opt-${key}`;
       input.addEventListener('input', () => {
         customOptions[key] = input.value.split(',').map(v => v.trim());
@@ -795,6 +956,29 @@ function renderConfigUI(options) {
 
       control.appendChild(label);
       control.appendChild(input);
+    } else if (option.default === null || typeof option.default === 'object') {
+      // Structured options (such as JSON field rules) are edited as JSON
+      const textarea = document.createElement('textarea');
+      textarea.id = `opt-${key}`;
+      textarea.spellcheck = false;
+      textarea.placeholder = 'JSON';
+      textarea.value = current ? JSON.stringify(current, null, 2) : '';
+      textarea.addEventListener('change', () => {
+        let value = null;
+        try {
+          value = textarea.value.trim() ? JSON.parse(textarea.value) : null;
+        } catch (error) {
+          textarea.classList.add('invalid');
+          textarea.title = error.message;
+          return;
+        }
+        textarea.classList.remove('invalid');
+        textarea.title = '';
+        customOptions[key] = value;
+        refreshPreview();
+      });
+
+      control.appendChild(textarea);
     }
 
     optionDiv.appendChild(control);
@@ -813,78 +997,186 @@ function renderConfigUI(options) {
 async function refreshPreview() {
   if (!currentFileContent || !currentFileType) return;
 
-  showLoading('⏳ Updating preview...');
-  updateProgress(30, '⏳ Updating preview...', 'Applying custom options');
+  // A newer option change supersedes any preview still running
+  const job = startJob();
+  showLoading('⏳ Updating preview...', { cancellable: true });
+  updateProgress(10, '⏳ Updating preview...', 'Applying custom options');
 
   try {
-    previewData = await analyzeFile(currentFileContent, currentFileType, customOptions);
+    previewData = await analyzeFile(currentFileContent, currentFileType, customOptions, {
+      signal: job.signal,
+      onProgress: ({ completed, total }) => {
+        updateProgress(10 + Math.round((completed / total) * 80), '⏳ Updating preview...',
+          `Compressed ${completed} of ${total} levels`);
+      }
+    });
     updateProgress(90, '⏳ Updating preview...', 'Refreshing display');
     displayPreview();
     updateProgress(100, '✅ Preview updated', '');
   } catch (error) {
+    if (isAbortError(error)) return;
     console.error('Error refreshing preview:', error);
   } finally {
-    setTimeout(() => hideLoading(), 300);
+    finishJob(job, 300);
+  }
+}
+
+// Target size / ratio search
+async function findTarget() {
+  if (!currentFileContent || !currentFileType) return;
+
+  const value = parseFloat(document.getElementById('targetValue').value);
+  const unit = document.getElementById('targetUnit').value;
+  const targetResult = document.getElementById('targetResult');
+
+  if (!(value > 0)) {
+    targetResult.textContent = 'Enter a target greater than zero.';
+    return;
+  }
+
+  const target = unit === '%'
+    ? { minReduction: Math.min(value, 99.9) }
+    : { maxBytes: Math.floor(value * (unit === 'MB' ? 1024 * 1024 : 1024)) };
+  const goal = unit === '%' ? `at least ${value}% smaller` : `under ${value} ${unit}`;
+
+  const job = startJob();
+  showLoading('🎯 Searching for settings...', { cancellable: true });
+
+  try {
+    // Non-boolean settings (lengths, precisions, ...) and options the search leaves alone stay as
+    // configured; the other on/off options are searched
+    const schema = getOptionsForFileType(currentFileType);
+    const fixedOptions = Object.fromEntries(
+      Object.entries(customOptions).filter(([key, value]) => typeof value !== 'boolean' || schema[key]?.searchable === false)
+    );
+
+    const found = await findTargetConfiguration(currentFileContent, currentFileType, target, fixedOptions, {
+      signal: job.signal,
+      onProgress: ({ attempts, level, option }) => {
+        updateProgress(Math.min(90, attempts * 4), '🎯 Searching for settings...',
+          `Try ${attempts}: ${level}${option ? ` + ${formatOptionName(option)}` : ''}`);
+      }
+    });
+
+    // Apply the configuration, then refresh the preview with it
+    customOptions = { ...customOptions, ...found.options };
+    previewData = await analyzeFile(currentFileContent, currentFileType, customOptions, { signal: job.signal });
+    displayPreview();
+    selectLevel(found.level);
+    renderConfigUI(getOptionsForFileType(currentFileType));
+    renderTargetResult(found, goal);
+    updateProgress(100, '✅ Search complete', '');
+  } catch (error) {
+    if (isAbortError(error)) return;
+    console.error('Error searching for target:', error);
+    targetResult.textContent = `Error: ${error.message}`;
+  } finally {
+    finishJob(job, 300);
   }
 }
 
+function renderTargetResult(found, goal) {
+  const targetResult = document.getElementById('targetResult');
+  const levelNames = { minimal: 'Minimal', moderate: 'Moderate', aggressive: 'Aggressive' };
+  const summary = `${levelNames[found.level]} level → ${formatBytes(found.size)} (${found.reduction.toFixed(1)}% smaller)`;
+
+  targetResult.innerHTML = '';
+  targetResult.className = found.met ? 'met' : 'missed';
+
+  const heading = document.createElement('div');
+  heading.textContent = found.met
+    ? `✅ Goal met (${goal}): ${summary}`
+    : `⚠️ Goal not reachable (${goal}). Closest: ${summary}`;
+  targetResult.appendChild(heading);
+
+  const list = document.createElement('ul');
+  if (found.enabledOptions.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = 'No optional operations needed';
+    list.appendChild(li);
+  }
+  found.enabledOptions.forEach(option => {
+    const li = document.createElement('li');
+    li.textContent = `${formatOptionName(option.key)} (${option.impact} impact${option.reversible ? ', reversible' : ''})`;
+    list.appendChild(li);
+  });
+  targetResult.appendChild(list);
+}
+
 // Compression
 async function compressFiles() {
-  showLoading('🗜️ Compressing files...');
-  compressionResults = [];
+  const job = startJob();
+  const pool = getCompressionPool();
+  const total = selectedFiles.length;
+  let completed = 0;
 
-  for (let i = 0; i < selectedFiles.length; i++) {
-    const file = selectedFiles[i];
-    const progress = Math.floor((i / selectedFiles.length) * 70); // 0-70%
+  showLoading('🗜️ Compressing files...', { cancellable: true });
+  updateProgress(0, `🗜️ Compressing 0/${total}`, `Running on ${Math.min(pool.size, total)} worker(s)`);
 
-    updateProgress(progress, `🗜️ Compressing ${i + 1}/${selectedFiles.length}`, file.name);
+  const stageLabels = { read: 'reading', parse: 'parsing', compress: 'compressing', serialize: 'writing output' };
 
+  // Files run in parallel on the worker pool; results keep the selection order
+  const results = await Promise.all(selectedFiles.map(async file => {
     try {
-      const content = await file.text();
-      const fileType = detectFileType(file.name);
-      const compressFunc = compressionEngines[fileType];
-
-      if (!compressFunc) {
-        throw new Error(`Unsupported file type: ${fileType}`);
-      }
+      const fileType = getFileType(file);
+
+      // Large files go to the streaming engine; the rest are read by the worker that picks them up,
+      // so only the files being compressed are held in memory
+      const task = shouldStream(file)
+        ? { fileType, file, level: compressionLevel, options: customOptions }
+        : { fileType, content: file, level: compressionLevel, options: customOptions };
+      const result = await pool.run(task, {
+        signal: job.signal,
+        onProgress: ({ stage }) => {
+          if (stageLabels[stage] && !job.signal.aborted) {
+            updateProgress(Math.floor((completed / total) * 95), `🗜️ Compressing ${completed}/${total}`,
+              `${file.name}: ${stageLabels[stage]}`);
+          }
+        }
+      });
 
-      const result = await compressFunc(content, compressionLevel, customOptions);
+      const manifest = createManifest({
+        fileName: file.name,
+        fileType,
+        level: compressionLevel,
+        originalSize: file.size,
+        result,
+        customOptions
+      });
 
-      compressionResults.push({
+      return {
         originalName: file.name,
         originalSize: file.size,
         compressedContent: result.compressed,
-        compressedSize: new Blob([result.compressed]).size,
-        manifest: {
-          version: '1.0.0',
-          original_file: file.name,
-          compression_level: compressionLevel,
-          timestamp: new Date().toISOString(),
-          original_size: file.size,
-          compressed_size: new Blob([result.compressed]).size,
-          reduction_percent: ((file.size - new Blob([result.compressed]).size) / file.size * 100).toFixed(2),
-          operations: result.operations || [],
-          custom_options: customOptions,
-          reversibility: 'partial',
-          data_loss: compressionLevel === 'aggressive' ? 'high' : compressionLevel === 'moderate' ? 'medium' : 'low'
-        },
+        compressedExtension: result.extension,
+        compressedSize: manifest.compressed_size,
+        manifest,
         fileType
-      });
+      };
     } catch (error) {
+      if (isAbortError(error)) return null;
       console.error(`Error compressing ${file.name}:`, error);
-      compressionResults.push({
+      return {
         originalName: file.name,
         originalSize: file.size,
         error: error.message
-      });
+      };
+    } finally {
+      completed++;
+      if (!job.signal.aborted) {
+        updateProgress(Math.floor((completed / total) * 95), `🗜️ Compressing ${completed}/${total}`, file.name);
+      }
     }
+  }));
+
+  if (job.signal.aborted) {
+    finishJob(job, 0);
+    return;
   }
 
+  compressionResults = results;
   updateProgress(100, '✅ Compression complete', `${compressionResults.length} files processed`);
-  setTimeout(() => {
-    hideLoading();
-    showResults();
-  }, 500);
+  finishJob(job, 500, showResults);
 }
 
 function showResults() {
@@ -920,12 +1212,16 @@ function showResults() {
   const reversibilityInfo = document.getElementById('reversibilityInfo');
 
   if (successfulResults.length > 0) {
-    const hasReversibleOps = successfulResults.some(r =>
-      r.manifest?.operations?.some(op => op.reversible === true)
-    );
-
-    if (hasReversibleOps) {
-      reversibilityInfo.textContent = ' Some operations are reversible using the manifest data.';
+    const { restorable, total } = successfulResults.reduce((totals, r) => {
+      const counts = describeReversibility(r.manifest);
+      totals.restorable += counts.restorable;
+      totals.total += counts.total;
+      return totals;
+    }, { restorable: 0, total: 0 });
+
+    if (restorable > 0) {
+      reversibilityInfo.textContent = ` ${restorable} of ${total} operations can be undone with "Restore Files" using the manifest.`;
+      reversibilityInfo.style.color = 'var(--success)';
     } else {
       reversibilityInfo.textContent = ' Operations are not reversible.';
       reversibilityInfo.style.color = 'var(--text-secondary)';
@@ -983,8 +1279,7 @@ function showResults() {
 
 window.downloadResult = function(index) {
   const result = compressionResults[index];
-  const newName = result.originalName.replace(/(\.[^.]+)$/, '.min$1');
-  downloadFile(result.compressedContent, newName);
+  downloadFile(result.compressedContent, getCompressedName(result.originalName, result.compressedExtension));
 };
 
 window.downloadManifest = function(index) {
@@ -994,18 +1289,184 @@ window.downloadManifest = function(index) {
 };
 
 async function downloadAllFiles() {
-  if (compressionResults.length === 1) {
-    downloadResult(0);
-  } else {
-    const files = compressionResults
-      .filter(r => !r.error)
-      .map(r => ({
-        name: r.originalName.replace(/(\.[^.]+)$/, '.min$1'),
-        content: r.compressedContent
-      }));
+  const successfulResults = compressionResults.filter(r => !r.error);
+  if (successfulResults.length === 0) return;
+
+  // One archive with every compressed file, its manifest and a summary report
+  // Files selected from different folders can share a name; entries are numbered like "data (2).json"
+  const files = [];
+  const taken = new Set(['compression-summary.json']);
+  const entryNames = new Map();
+  successfulResults.forEach(r => {
+    const name = getUniqueName(r.originalName, taken);
+    const names = {
+      compressed: getUniqueName(getCompressedName(name, r.compressedExtension), taken),
+      manifest: getUniqueName(name + '.manifest.json', taken)
+    };
+    entryNames.set(r, names);
+    files.push({ name: names.compressed, content: r.compressedContent });
+    files.push({ name: names.manifest, content: JSON.stringify(r.manifest, null, 2) });
+  });
+  files.push({ name: 'compression-summary.json', content: JSON.stringify(buildSummaryReport(entryNames), null, 2) });
 
+  try {
     await downloadZip(files, 'compressed-files.zip');
+  } catch (error) {
+    console.error('Error creating ZIP archive:', error);
+    alert(`Error creating ZIP archive: ${error.message}`);
+  }
+}
+
+// First of name, "name (2).ext", "name (3).ext", ... not yet in taken; the result is added to taken
+function getUniqueName(name, taken) {
+  const dot = name.indexOf('.', 1);
+  const stem = dot === -1 ? name : name.slice(0, dot);
+  const extension = dot === -1 ? '' : name.slice(dot);
+
+  let unique = name;
+  for (let n = 2; taken.has(unique); n++) {
+    unique = `${stem} (${n})${extension}`;
+  }
+  taken.add(unique);
+  return unique;
+}
+
+// Summary of a batch run, included as the top-level report in "Download All"
+// entryNames: result → { compressed, manifest }, the names of its entries in the archive
+function buildSummaryReport(entryNames) {
+  const successfulResults = compressionResults.filter(r => !r.error);
+  const totalOriginalSize = successfulResults.reduce((sum, r) => sum + r.originalSize, 0);
+  const totalCompressedSize = successfulResults.reduce((sum, r) => sum + r.compressedSize, 0);
+
+  return {
+    version: '1.0.0',
+    timestamp: new Date().toISOString(),
+    compression_level: compressionLevel,
+    total_files: compressionResults.length,
+    failed_files: compressionResults.length - successfulResults.length,
+    original_size: totalOriginalSize,
+    compressed_size: totalCompressedSize,
+    reduction_percent: totalOriginalSize > 0
+      ? ((totalOriginalSize - totalCompressedSize) / totalOriginalSize * 100).toFixed(2)
+      : '0.00',
+    files: compressionResults.map(r => r.error
+      ? { original_file: r.originalName, original_size: r.originalSize, error: r.error }
+      : {
+        original_file: r.originalName,
+        compressed_file: entryNames.get(r).compressed,
+        manifest_file: entryNames.get(r).manifest,
+        file_type: r.fileType,
+        original_size: r.originalSize,
+        compressed_size: r.compressedSize,
+        reduction_percent: r.manifest.reduction_percent,
+        operations: r.manifest.operations.length,
+        reversibility: r.manifest.reversibility
+      })
+  };
+}
+
+function getCompressedName(filename, extension = null) {
+  if (extension) {
+    return filename.replace(/(\.[^.]+)?$/, `.min.${extension}`);
   }
+  return filename.replace(/(\.[^.]+)$/, '.min$1');
+}
+
+// Restore
+function showRestore() {
+  restoreFileInput.value = '';
+  restoreManifestInput.value = '';
+  restoreResult.innerHTML = '';
+  showSection(restoreSection);
+  restoreSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function restoreFile() {
+  const file = restoreFileInput.files[0];
+  const manifestFile = restoreManifestInput.files[0];
+
+  if (!file || !manifestFile) {
+    alert('Select both the compressed file and its manifest.');
+    return;
+  }
+
+  showLoading('♻️ Restoring file...');
+
+  try {
+    updateProgress(20, '♻️ Restoring file...', 'Reading manifest');
+    let manifest;
+    try {
+      manifest = JSON.parse(await manifestFile.text());
+    } catch (error) {
+      throw new Error('Manifest is not valid JSON');
+    }
+
+    updateProgress(50, '♻️ Restoring file...', 'Undoing reversible operations');
+    const result = await restore(await file.text(), manifest);
+
+    updateProgress(100, '✅ Restore complete', '');
+    renderRestoreResult(result, manifest);
+  } catch (error) {
+    console.error('Error restoring file:', error);
+    alert(`Error restoring file: ${error.message}`);
+  } finally {
+    setTimeout(() => hideLoading(), 300);
+  }
+}
+
+function renderRestoreResult(result, manifest) {
+  const statusLabels = {
+    restored: '✅ Restored',
+    equivalent: '✅ Equivalent (nothing to undo)',
+    lossy: '⚠️ Lossy (cannot be undone)',
+    failed: '❌ Failed'
+  };
+
+  const restoredName = (manifest.original_file || 'restored').replace(/(\.[^.]+)$/, '.restored$1');
+
+  // The manifest is user-supplied: its fields only ever go in as text
+  const item = document.createElement('div');
+  item.className = 'result-item';
+
+  const header = document.createElement('div');
+  header.className = 'result-header';
+  const fileName = document.createElement('div');
+  fileName.className = 'file-name';
+  fileName.textContent = restoredName;
+  const stats = document.createElement('div');
+  stats.className = 'result-stats';
+  const size = document.createElement('span');
+  size.className = 'stat';
+  size.textContent = formatBytes(new Blob([result.restored]).size);
+  stats.appendChild(size);
+  header.append(fileName, stats);
+
+  const operations = document.createElement('div');
+  operations.className = 'result-optimizations';
+  const heading = document.createElement('h4');
+  heading.textContent = 'Operations:';
+  const list = document.createElement('ul');
+  result.operations.forEach(op => {
+    const li = document.createElement('li');
+    li.textContent = `${formatOperationType(op.type)} — ${statusLabels[op.status]}${op.reason ? ` (${op.reason})` : ''}`;
+    list.appendChild(li);
+  });
+  operations.append(heading, list);
+
+  const actions = document.createElement('div');
+  actions.className = 'result-actions';
+  const downloadButton = document.createElement('button');
+  downloadButton.className = 'btn btn-sm';
+  downloadButton.id = 'downloadRestoredBtn';
+  downloadButton.textContent = '📥 Download';
+  actions.appendChild(downloadButton);
+
+  item.append(header, operations, actions);
+  restoreResult.replaceChildren(item);
+
+  downloadButton.addEventListener('click', () => {
+    downloadFile(result.restored, restoredName);
+  });
 }
 
 function reset() {
@@ -1023,6 +1484,23 @@ function reset() {
   updateFilesList();
 }
 
+// Plugins: module URLs listed in window.L0SS_PLUGINS (set in a script before app.js)
+async function loadConfiguredPlugins() {
+  const urls = window.L0SS_PLUGINS || [];
+
+  for (const url of urls) {
+    const absoluteUrl = new URL(url, window.location.href).href;
+    try {
+      await loadPlugin(absoluteUrl);
+      getCompressionPool().loadPlugin(absoluteUrl);
+    } catch (error) {
+      console.error(`Could not load plugin ${url}:`, error);
+    }
+  }
+
+  fileInput.accept = getSupportedExtensions().join(',');
+}
+
 // Utility Functions
 function showSection(element) {
   element.style.display = 'block';
@@ -1042,17 +1520,48 @@ function updateProgress(percent, text, subtext = '') {
   if (loadingSubtext) loadingSubtext.textContent = subtext;
 }
 
-function showLoading(text) {
+function showLoading(text, { cancellable = false } = {}) {
   loadingText.textContent = text;
   loading.style.display = 'flex';
+  cancelBtn.style.display = cancellable ? 'inline-block' : 'none';
   updateProgress(0, text);
 }
 
 function hideLoading() {
   loading.style.display = 'none';
+  cancelBtn.style.display = 'none';
   updateProgress(0, '');
 }
 
+// Cancellable jobs: only one analysis/compression runs at a time
+function startJob() {
+  if (activeJob) activeJob.abort();
+  activeJob = new AbortController();
+  return activeJob;
+}
+
+function finishJob(job, delay, onDone) {
+  if (job !== activeJob) return; // Superseded by a newer job, which owns the overlay now
+  activeJob = null;
+
+  if (job.signal.aborted) {
+    hideLoading();
+    return;
+  }
+
+  setTimeout(() => {
+    hideLoading();
+    if (onDone) onDone();
+  }, delay);
+}
+
+function cancelActiveJob() {
+  if (!activeJob) return;
+  const job = activeJob;
+  job.abort();
+  finishJob(job, 0);
+}
+
 function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -1065,6 +1574,8 @@ function getFileIcon(filename) {
   const ext = filename.split('.').pop().toLowerCase();
   const icons = {
     json: '📊',
+    ndjson: '📊',
+    jsonl: '📊',
     csv: '📈',
     js: '📜',
     html: '🌐',
@@ -0,0 +1,98 @@
+/**
+ * Minimal glob expansion for the CLI (*, **, ? and {a,b})
+ * Node 20 has no built-in glob, and the CLI has no dependencies.
+ */
+
+import { readdirSync, statSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Check whether an argument contains glob syntax
+ */
+export function isGlob(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+/**
+ * Expand a glob pattern to matching file paths (sorted)
+ * @param {string} pattern - Pattern relative to cwd, using / as separator
+ * @param {string} cwd - Base directory
+ * @returns {Array<string>} Matching file paths relative to cwd
+ */
+export function expandGlob(pattern, cwd = process.cwd()) {
+  const normalized = pattern.split(sep).join('/');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(segment => isGlob(segment));
+  const base = segments.slice(0, firstGlob).join('/') || '.';
+  const matcher = globToRegExp(normalized);
+  const matches = [];
+
+  walk(join(cwd, base), path => {
+    const rel = relative(cwd, path).split(sep).join('/');
+    const candidate = normalized.startsWith('./') ? `./${rel}` : rel;
+    if (matcher.test(candidate)) {
+      matches.push(candidate);
+    }
+  });
+
+  return matches.sort();
+}
+
+/**
+ * Convert a glob pattern to an anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir, visit) {
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return; // Missing base directory: no matches
+  }
+
+  for (const entry of entries) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name)) {
+        walk(path, visit);
+      }
+    } else if (entry.isFile() || (entry.isSymbolicLink() && statSync(path, { throwIfNoEntry: false })?.isFile())) {
+      visit(path);
+    }
+  }
+}
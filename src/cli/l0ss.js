@@ -0,0 +1,551 @@
+/**
+ * l0ss command-line interface
+ * Runs the same compression engines as the web app, without a browser.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, statSync, openSync, readSync, closeSync, createReadStream, createWriteStream } from 'node:fs';
+import { basename, dirname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { compress, getSupportedTypes } from '../index.js';
+import { findTargetConfiguration } from '../utils/preview.js';
+import { canStream, runStreamingCompression, STREAMING_THRESHOLD } from '../compression/engines.js';
+import { createManifest } from '../utils/manifest.js';
+import { loadPlugin } from '../utils/plugins.js';
+import { detectFileTypeWithConfidence } from '../utils/file-type-detector.js';
+import { compressionOptions } from '../utils/compression-options.js';
+import { expandGlob, isGlob } from './glob.js';
+
+const LEVELS = ['minimal', 'moderate', 'aggressive'];
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+// Bytes read from the start of a large file to detect its type
+const SNIFF_BYTES = 64 * 1024;
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @param {object} io - { stdin, stdout, stderr, cwd } (defaults to the current process)
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const stdin = io.stdin || process.stdin;
+  const cwd = io.cwd || process.cwd();
+
+  // Plugins first: they can add file types and option flags
+  try {
+    for (const plugin of findPluginArgs(argv)) {
+      await loadPlugin(pathToFileURL(resolve(cwd, plugin)).href);
+    }
+  } catch (error) {
+    stderr.write(`l0ss: could not load plugin: ${error.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  let args;
+  try {
+    args = parseCommandLine(argv, cwd);
+  } catch (error) {
+    stderr.write(`l0ss: ${error.message}\nRun "l0ss --help" for usage.\n`);
+    return EXIT_USAGE;
+  }
+
+  if (args.help) {
+    stdout.write(getHelpText());
+    return EXIT_OK;
+  }
+  if (args.version) {
+    stdout.write(`${getVersion()}\n`);
+    return EXIT_OK;
+  }
+
+  // Inputs: "-" (or nothing, with piped stdin) reads stdin
+  const useStdin = args.inputs.includes('-') || (args.inputs.length === 0 && !stdin.isTTY);
+  let files;
+  try {
+    files = resolveInputs(args.inputs.filter(input => input !== '-'), cwd);
+  } catch (error) {
+    stderr.write(`l0ss: ${error.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  if (!useStdin && files.length === 0) {
+    stderr.write('l0ss: no input files\nRun "l0ss --help" for usage.\n');
+    return EXIT_USAGE;
+  }
+
+  let failed = 0;
+
+  if (useStdin) {
+    const name = args.stdinName || `stdin.${getDefaultExtension(args.type || 'Text')}`;
+    const ok = await compressOne({
+      name,
+      fileType: args.type,
+      content: await readStream(stdin),
+      args,
+      cwd,
+      stdout,
+      stderr,
+      toStdout: !args.outDir
+    });
+    if (!ok) failed++;
+  }
+
+  for (const file of files) {
+    const streamType = getStreamingType(file, args, cwd, stderr);
+    const ok = streamType
+      ? await compressStreamed({ name: file, fileType: streamType, args, cwd, stderr })
+      : await compressOne({
+        name: file,
+        fileType: args.type,
+        content: readFileSync(resolve(cwd, file), 'utf8'),
+        args,
+        cwd,
+        stdout,
+        stderr,
+        toStdout: false
+      });
+    if (!ok) failed++;
+  }
+
+  return failed > 0 ? EXIT_FAILED : EXIT_OK;
+}
+
+/**
+ * Compress one input and write its output (and manifest when requested)
+ * @returns {Promise<boolean>} false when the file failed
+ */
+async function compressOne({ name, fileType, content, args, cwd, stdout, stderr, toStdout }) {
+  if (!fileType) {
+    const detection = detectFileTypeWithConfidence(basename(name), content);
+    fileType = detection.type;
+    if (!args.quiet && detection.confidence < 0.7) {
+      stderr.write(`${name}: detected ${fileType} (${Math.round(detection.confidence * 100)}% from ${detection.source}); use --type to override\n`);
+    }
+  }
+
+  let customOptions = getOptionsFor(fileType, args.engineOptions);
+  let level = args.level;
+  let found = null;
+
+  let result;
+  try {
+    if (args.target) {
+      // Explicit flags stay fixed; the search picks the level and the remaining on/off options
+      found = await findTargetConfiguration(content, fileType, args.target, customOptions);
+      level = found.level;
+      customOptions = found.options;
+    }
+    result = await compress(content, { type: fileType, filename: basename(name), level, options: customOptions });
+  } catch (error) {
+    stderr.write(`l0ss: ${name}: ${error.message}\n`);
+    return false;
+  }
+
+  const { manifest } = result;
+
+  const outputPath = toStdout ? null : getOutputPath(name, args.outDir, cwd, result.extension);
+  if (outputPath) {
+    mkdirSync(dirname(outputPath), { recursive: true });
+    writeFileSync(outputPath, result.compressed);
+  } else {
+    stdout.write(result.compressed);
+  }
+
+  writeManifest(name, manifest, args, cwd);
+  reportResult(name, manifest, outputPath, args, stderr);
+
+  if (found) {
+    const enabled = found.enabledOptions.map(option => `--${toFlagName(option.key)}`).join(' ') || 'none';
+    if (!args.quiet || !found.met) {
+      stderr.write(`${name}: target ${found.met ? 'met' : 'NOT met'} at --level ${found.level}; enabled: ${enabled}\n`);
+    }
+    return found.met;
+  }
+
+  return true;
+}
+
+/**
+ * Compress a large file as a stream, writing the output as it is produced
+ * @returns {Promise<boolean>} false when the file failed
+ */
+async function compressStreamed({ name, fileType, args, cwd, stderr }) {
+  const inputPath = resolve(cwd, name);
+  const outputPath = getOutputPath(name, args.outDir, cwd);
+  const customOptions = getOptionsFor(fileType, args.engineOptions);
+
+  mkdirSync(dirname(outputPath), { recursive: true });
+  const out = createWriteStream(outputPath, { encoding: 'utf8' });
+  const sink = {
+    write: chunk => new Promise((resolveWrite, rejectWrite) => {
+      out.write(chunk, error => (error ? rejectWrite(error) : resolveWrite()));
+    })
+  };
+
+  let result;
+  try {
+    result = await runStreamingCompression(
+      fileType,
+      () => createReadStream(inputPath, { encoding: 'utf8', highWaterMark: 1024 * 1024 }),
+      args.level,
+      customOptions,
+      sink
+    );
+    await new Promise((resolveEnd, rejectEnd) => {
+      out.on('error', rejectEnd);
+      out.end(resolveEnd);
+    });
+  } catch (error) {
+    out.destroy();
+    stderr.write(`l0ss: ${name}: ${error.message}\n`);
+    return false;
+  }
+
+  const manifest = createManifest({
+    fileName: basename(name),
+    fileType,
+    level: args.level,
+    originalSize: statSync(inputPath).size,
+    result,
+    customOptions,
+    compressedSize: statSync(outputPath).size
+  });
+
+  writeManifest(name, manifest, args, cwd);
+  reportResult(name, manifest, outputPath, args, stderr);
+  return true;
+}
+
+/**
+ * File type to stream an input as, or null to load it whole
+ * Inputs are streamed above STREAMING_THRESHOLD, or always with --stream, when the file
+ * type has a streaming engine. Target searches need the whole content.
+ */
+function getStreamingType(name, args, cwd, stderr) {
+  const path = resolve(cwd, name);
+  if (args.target || (!args.stream && statSync(path).size <= STREAMING_THRESHOLD)) {
+    return null;
+  }
+
+  const fileType = args.type || detectFileTypeWithConfidence(basename(name), readHead(path)).type;
+  if (!canStream(fileType)) {
+    if (args.stream && !args.quiet) {
+      stderr.write(`${name}: ${fileType} files cannot be streamed; loading it whole\n`);
+    }
+    return null;
+  }
+  return fileType;
+}
+
+function readHead(path) {
+  const buffer = Buffer.alloc(SNIFF_BYTES);
+  const fd = openSync(path, 'r');
+  try {
+    const bytes = readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return buffer.toString('utf8', 0, bytes);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function writeManifest(name, manifest, args, cwd) {
+  if (!args.manifest) return;
+  const manifestPath = resolve(args.outDir ? resolve(cwd, args.outDir) : dirname(resolve(cwd, name)), `${basename(name)}.manifest.json`);
+  mkdirSync(dirname(manifestPath), { recursive: true });
+  writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+function reportResult(name, manifest, outputPath, args, stderr) {
+  if (args.quiet) return;
+  const target = outputPath ? ` → ${outputPath}` : '';
+  stderr.write(`${name}: ${manifest.original_size} → ${manifest.compressed_size} bytes (${manifest.reduction_percent}% smaller)${target}\n`);
+}
+
+/**
+ * Parse argv into CLI settings and engine options
+ */
+function parseCommandLine(argv, cwd) {
+  const engineOptions = collectEngineOptions();
+  const options = {
+    plugin: { type: 'string', short: 'p', multiple: true },
+    level: { type: 'string', short: 'l', default: 'moderate' },
+    'out-dir': { type: 'string', short: 'o' },
+    manifest: { type: 'boolean', short: 'm', default: false },
+    type: { type: 'string', short: 't' },
+    'stdin-name': { type: 'string' },
+    'target-size': { type: 'string' },
+    'target-reduction': { type: 'string' },
+    stream: { type: 'boolean', default: false },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    version: { type: 'boolean', short: 'v', default: false }
+  };
+
+  Object.entries(engineOptions).forEach(([key, option]) => {
+    const flag = toFlagName(key);
+    if (option.kind === 'boolean') {
+      options[flag] = { type: 'boolean' };
+      options[`no-${flag}`] = { type: 'boolean' };
+    } else {
+      options[flag] = { type: 'string' };
+    }
+  });
+
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+
+  if (!LEVELS.includes(values.level)) {
+    throw new Error(`invalid --level "${values.level}" (expected ${LEVELS.join(', ')})`);
+  }
+
+  const type = values.type ? resolveFileType(values.type) : null;
+
+  let target = null;
+  if (values['target-size'] !== undefined || values['target-reduction'] !== undefined) {
+    target = {};
+    if (values['target-size'] !== undefined) {
+      target.maxBytes = parseSize(values['target-size']);
+    }
+    if (values['target-reduction'] !== undefined) {
+      const percent = parseFloat(values['target-reduction']);
+      if (!(percent > 0 && percent < 100)) {
+        throw new Error(`--target-reduction expects a percentage between 0 and 100, got "${values['target-reduction']}"`);
+      }
+      target.minReduction = percent;
+    }
+  }
+
+  const parsedOptions = {};
+  Object.entries(engineOptions).forEach(([key, option]) => {
+    const flag = toFlagName(key);
+    if (option.kind === 'boolean') {
+      if (values[flag] && values[`no-${flag}`]) {
+        throw new Error(`--${flag} and --no-${flag} cannot be combined`);
+      }
+      if (values[flag]) parsedOptions[key] = true;
+      if (values[`no-${flag}`]) parsedOptions[key] = false;
+    } else if (values[flag] !== undefined) {
+      parsedOptions[key] = parseOptionValue(flag, option, values[flag], cwd);
+    }
+  });
+
+  return {
+    inputs: positionals,
+    level: values.level,
+    outDir: values['out-dir'],
+    manifest: values.manifest,
+    type,
+    stdinName: values['stdin-name'],
+    target,
+    stream: values.stream,
+    quiet: values.quiet,
+    help: values.help,
+    version: values.version,
+    engineOptions: parsedOptions
+  };
+}
+
+/**
+ * Collect --plugin values before the full parse, which needs the options plugins add
+ */
+function findPluginArgs(argv) {
+  const plugins = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') break;
+    if ((arg === '--plugin' || arg === '-p') && i + 1 < argv.length) {
+      plugins.push(argv[++i]);
+    } else if (arg.startsWith('--plugin=')) {
+      plugins.push(arg.slice('--plugin='.length));
+    }
+  }
+  return plugins;
+}
+
+function parseOptionValue(flag, option, value, cwd) {
+  if (option.kind === 'number') {
+    const number = Number(value);
+    if (value.trim() === '' || Number.isNaN(number)) {
+      throw new Error(`--${flag} expects a number, got "${value}"`);
+    }
+    return number;
+  }
+  if (option.kind === 'array') {
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+  }
+  if (option.kind === 'object') {
+    // Inline JSON, or the path of a JSON file
+    const source = /^\s*[[{]/.test(value) ? value : readOptionFile(flag, resolve(cwd, value));
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      throw new Error(`--${flag} expects JSON or a JSON file: ${error.message}`);
+    }
+  }
+  if (option.choices && !option.choices.includes(value)) {
+    throw new Error(`invalid --${flag} "${value}" (expected ${option.choices.join(', ')})`);
+  }
+  return value;
+}
+
+function readOptionFile(flag, path) {
+  if (!existsSync(path)) {
+    throw new Error(`--${flag}: no such file ${path}`);
+  }
+  return readFileSync(path, 'utf8');
+}
+
+/**
+ * Parse a size like 2048, 100KB or 1.5MB (1 KB = 1024 bytes)
+ */
+function parseSize(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(value);
+  if (!match || parseFloat(match[1]) <= 0) {
+    throw new Error(`--target-size expects a size like 100KB, got "${value}"`);
+  }
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  return Math.floor(parseFloat(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Expand globs and check that plain paths exist
+ */
+function resolveInputs(inputs, cwd) {
+  const files = [];
+
+  inputs.forEach(input => {
+    if (isGlob(input)) {
+      const matches = expandGlob(input, cwd);
+      if (matches.length === 0) {
+        throw new Error(`no files match ${input}`);
+      }
+      files.push(...matches);
+    } else if (existsSync(resolve(cwd, input))) {
+      files.push(input);
+    } else {
+      throw new Error(`${input}: no such file`);
+    }
+  });
+
+  return [...new Set(files)];
+}
+
+/**
+ * Keep only the flags the file type defines; engines use their own defaults for the rest
+ */
+function getOptionsFor(fileType, parsedOptions) {
+  const available = compressionOptions[fileType] || {};
+  const options = {};
+  Object.keys(parsedOptions).forEach(key => {
+    if (available[key]) {
+      options[key] = parsedOptions[key];
+    }
+  });
+  return options;
+}
+
+function getOutputPath(name, outDir, cwd, extension = null) {
+  // Output in another format (Arrow from CSV) takes that format's extension
+  const minName = extension
+    ? basename(name).replace(/(\.[^.]+)?$/, `.min.${extension}`)
+    : basename(name).replace(/(\.[^.]+)$/, '.min$1');
+  return outDir ? resolve(cwd, outDir, minName) : resolve(cwd, dirname(name), minName);
+}
+
+function resolveFileType(value) {
+  const fileTypes = getSupportedTypes();
+  const match = fileTypes.find(type => type.toLowerCase() === value.toLowerCase());
+  if (!match) {
+    throw new Error(`invalid --type "${value}" (expected ${fileTypes.join(', ')})`);
+  }
+  return match;
+}
+
+function getDefaultExtension(fileType) {
+  const extensions = { JavaScript: 'js', Markdown: 'md', Text: 'txt' };
+  return extensions[fileType] || fileType.toLowerCase();
+}
+
+/**
+ * Every option from compression-options.js (plugins included), keyed by name,
+ * with the file types that define it
+ */
+function collectEngineOptions() {
+  const collected = {};
+
+  Object.entries(compressionOptions).forEach(([fileType, options]) => {
+    Object.entries(options).forEach(([key, option]) => {
+      if (!collected[key]) {
+        collected[key] = {
+          kind: Array.isArray(option.default) ? 'array' : typeof option.default,
+          choices: option.choices,
+          description: option.description,
+          fileTypes: []
+        };
+      }
+      collected[key].fileTypes.push(fileType);
+    });
+  });
+
+  return collected;
+}
+
+// Acronyms stay together: redactPII → redact-pii, keepFirstNColumns → keep-first-n-columns
+function toFlagName(key) {
+  return key
+    .replace(/([a-z\d])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function getVersion() {
+  const pkg = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+  return pkg.version;
+}
+
+function getHelpText() {
+  const engineOptions = collectEngineOptions();
+  const lines = [
+    'Usage: l0ss [options] <files, globs or - for stdin...>',
+    '',
+    'Options:',
+    '  -l, --level <level>           minimal, moderate or aggressive (default: moderate)',
+    '  -o, --out-dir <dir>           Write output files to <dir> (default: next to each input; stdout for stdin)',
+    '  -m, --manifest                Also write <file>.manifest.json for each input',
+    '  -t, --type <type>             Force the file type instead of detecting it from the extension',
+    '      --stdin-name <name>       File name used for stdin (type detection and manifest)',
+    '      --target-size <size>      Find the least lossy settings that fit in <size> (e.g. 100KB, 2MB)',
+    '      --target-reduction <pct>  Find the least lossy settings at least <pct>% smaller',
+    `      --stream                  Stream JSON files instead of loading them whole (automatic above ${STREAMING_THRESHOLD / 1024 / 1024} MB)`,
+    '  -p, --plugin <module>         Load a plugin module before compressing (repeatable)',
+    '  -q, --quiet                   Do not print per-file statistics to stderr',
+    '  -h, --help                    Show this help',
+    '  -v, --version                 Show the version',
+    '',
+    'Engine options (see the Advanced Options panel in the web app):'
+  ];
+
+  Object.entries(engineOptions).forEach(([key, option]) => {
+    const flag = toFlagName(key);
+    const usage = option.kind === 'boolean'
+      ? `--[no-]${flag}`
+      : `--${flag} <${option.choices ? option.choices.join('|') : option.kind === 'array' ? 'a,b,...' : option.kind === 'object' ? 'json|file' : option.kind}>`;
+    lines.push(`  ${usage.padEnd(40)} ${option.description} [${option.fileTypes.join(', ')}]`);
+  });
+
+  lines.push('', 'Exit status is 1 when any file fails to compress or misses its target, 2 on usage errors.', '');
+  return lines.join('\n');
+}
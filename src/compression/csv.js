@@ -1,43 +1,123 @@
 /**
  * CSV compression engine with lossy optimizations
+ *
+ * Every operation works on parsed records (arrays of fields), so quoted fields
+ * containing delimiters, line breaks or escaped quotes are never split apart.
  */
 
+import { parseCSV, serializeCSV } from '../utils/csv-parser.js';
+import { profileColumns, recommendEncoding, isNumericField, isNullValue, getTrailerEntryLength } from '../utils/csv-profile.js';
+import { SAMPLING_MODES, createRandom, reservoirSample, stratifiedSample } from '../utils/sampling.js';
+import { planNumericColumn, decodeNumericColumn, getEncodingSuffix } from '../utils/numeric-encoding.js';
+import { getOutlierFences, resolveOutlierRule } from '../utils/outliers.js';
+import { DOWNSAMPLE_METHODS, RESAMPLE_AGGREGATES, parseInterval, detectTimestampColumn, createTimestampFormat, bucketByInterval, largestTriangleThreeBuckets } from '../utils/time-series.js';
+import { getRedactionSettings, createRedactor, createRedactionOperation } from '../utils/redaction.js';
+import { writeArrowStream } from '../utils/arrow-writer.js';
+import { getOptionsForFileType } from '../utils/compression-options.js';
+
+// Start of the trailer line that carries the dictionaries and numeric encoding plans in embedded mode
+export const TRAILER_PREFIX = '#l0ss ';
+
+const DICTIONARY_STORAGE = ['manifest', 'embedded'];
+
+export const OUTPUT_FORMATS = ['csv', 'arrow'];
+
 /**
  * Compress CSV with specified loss level
  */
-export async function compressCSV(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressCSV(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
   const operations = [];
 
-  // Parse CSV
-  const lines = content.split('\n').filter(line => line.trim());
-  if (lines.length === 0) {
+  // Parse CSV (RFC 4180 quoting, CRLF, BOM, delimiter auto-detection)
+  onStage?.('parse');
+  const parsed = parseCSV(content, { delimiter: customOptions.delimiter });
+  const records = parsed.records.filter(record => !isBlankRecord(record));
+  if (records.length === 0) {
     throw new Error('Empty CSV file');
   }
 
-  let header = lines[0];
-  let dataLines = lines.slice(1);
+  onStage?.('compress');
+  let header = records[0];
+  let rows = records.slice(1);
 
   const originalSize = content.length;
 
+  if (parsed.hasBOM) {
+    operations.push({
+      type: 'remove_bom',
+      count: 1,
+      reversible: true,
+      impact: 'low'
+    });
+  }
+
+  // Redact PII before anything else, at every level
+  const redaction = getRedactionSettings(customOptions);
+  if (redaction) {
+    const redactor = createRedactor(redaction);
+    rows = rows.map((fields, rowIndex) => fields.map((field, colIndex) =>
+      redactor.redact(field, { row: rowIndex + 1, column: header[colIndex] ?? String(colIndex + 1) })));
+    const redactOperation = createRedactionOperation(redaction, redactor);
+    if (redactOperation) {
+      operations.push(redactOperation);
+    }
+  }
+
   let result;
   switch (lossLevel) {
     case 'minimal':
-      result = applyMinimalCSVCompression(header, dataLines, operations, customOptions);
+      result = applyMinimalCSVCompression(header, rows, operations, customOptions);
       break;
     case 'moderate':
-      result = applyModerateCSVCompression(header, dataLines, operations, customOptions);
+      result = applyModerateCSVCompression(header, rows, operations, customOptions);
       break;
     case 'aggressive':
-      result = applyAggressiveCSVCompression(header, dataLines, operations, customOptions);
+      result = applyAggressiveCSVCompression(header, rows, operations, customOptions);
       break;
     default:
       throw new Error('Invalid loss level');
   }
 
   header = result.header;
-  dataLines = result.dataLines;
+  rows = result.rows;
+  onStage?.('serialize');
+
+  // Arrow output: the same rows as a typed, columnar binary stream instead of text
+  if (getOutputFormat(customOptions) === 'arrow') {
+    const { stream, types } = writeArrowTable(header, rows, customOptions);
+    operations.push({
+      type: 'export_arrow',
+      rows: rows.length,
+      columns: types,
+      reversible: false, // Values keep their meaning, not their text ("1.50" → 1.5, "yes" → true)
+      impact: 'low'
+    });
+    return {
+      compressed: stream,
+      extension: 'arrows',
+      operations,
+      originalSize,
+      compressedSize: stream.length
+    };
+  }
+
+  let compressed = serializeCSV([header, ...rows], { delimiter: parsed.delimiter, lineEnding: parsed.lineEnding });
 
-  const compressed = [header, ...dataLines].join('\n');
+  // Embedded mode: the dictionaries, numeric plans and folded columns also go in a trailer line,
+  // so the file can be decoded without its manifest
+  if (getDictionaryStorage(customOptions) === 'embedded') {
+    const metadata = collectEncodingMetadata(operations);
+    if (metadata) {
+      compressed += `${parsed.lineEnding}${TRAILER_PREFIX}${JSON.stringify(metadata)}`;
+      operations.push({
+        type: 'embed_dictionaries',
+        count: Object.keys(metadata.dictionaries || {}).length + Object.keys(metadata.numeric || {}).length +
+          (metadata.folded || []).length,
+        reversible: true,
+        impact: 'low'
+      });
+    }
+  }
 
   return {
     compressed,
@@ -50,19 +130,16 @@ export async function compressCSV(content, lossLevel = 'moderate', customOptions
 /**
  * Minimal CSV compression
  */
-function applyMinimalCSVCompression(header, dataLines, operations, customOptions) {
+function applyMinimalCSVCompression(header, rows, operations, customOptions) {
   // Remove empty rows
   if (customOptions.removeEmptyRows !== false) {
-    const originalCount = dataLines.length;
-    dataLines = dataLines.filter(line => {
-      const fields = line.split(',');
-      return fields.some(field => field.trim() !== '');
-    });
+    const originalCount = rows.length;
+    rows = rows.filter(fields => fields.some(field => field.trim() !== ''));
 
-    if (dataLines.length < originalCount) {
+    if (rows.length < originalCount) {
       operations.push({
         type: 'remove_empty_rows',
-        count: originalCount - dataLines.length,
+        count: originalCount - rows.length,
         reversible: false,
         impact: 'low'
       });
@@ -71,14 +148,11 @@ function applyMinimalCSVCompression(header, dataLines, operations, customOptions
 
   // Trim whitespace from fields
   const trimmedCount = { value: 0 };
-  dataLines = dataLines.map(line => {
-    const fields = line.split(',').map(field => {
-      const trimmed = field.trim();
-      if (trimmed !== field) trimmedCount.value++;
-      return trimmed;
-    });
-    return fields.join(',');
-  });
+  rows = rows.map(fields => fields.map(field => {
+    const trimmed = field.trim();
+    if (trimmed !== field) trimmedCount.value++;
+    return trimmed;
+  }));
 
   if (trimmedCount.value > 0) {
     operations.push({
@@ -89,28 +163,33 @@ function applyMinimalCSVCompression(header, dataLines, operations, customOptions
     });
   }
 
-  return { header, dataLines };
+  return { header, rows };
 }
 
 /**
  * Moderate CSV compression
  */
-function applyModerateCSVCompression(header, dataLines, operations, customOptions) {
+function applyModerateCSVCompression(header, rows, operations, customOptions) {
   // First apply minimal compression
-  let result = applyMinimalCSVCompression(header, dataLines, operations, customOptions);
+  let result = applyMinimalCSVCompression(header, rows, operations, customOptions);
   header = result.header;
-  dataLines = result.dataLines;
+  rows = result.rows;
 
   // Deduplicate rows
   if (customOptions.deduplicateRows !== false) {
-    const originalCount = dataLines.length;
-    const uniqueRows = new Set(dataLines);
-    dataLines = Array.from(uniqueRows);
+    const originalCount = rows.length;
+    const seen = new Set();
+    rows = rows.filter(fields => {
+      const key = JSON.stringify(fields);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
 
-    if (dataLines.length < originalCount) {
+    if (rows.length < originalCount) {
       operations.push({
         type: 'deduplicate_rows',
-        count: originalCount - dataLines.length,
+        count: originalCount - rows.length,
         reversible: false,
         impact: 'medium'
       });
@@ -119,18 +198,16 @@ function applyModerateCSVCompression(header, dataLines, operations, customOption
 
   // Round numeric values
   if (customOptions.roundNumbers !== false) {
+    // Arrow output keeps integers as integers rather than writing them with 2 decimals
+    const keepIntegers = getOutputFormat(customOptions) === 'arrow';
     const roundedCount = { value: 0 };
-    dataLines = dataLines.map(line => {
-      const fields = line.split(',').map(field => {
-        const num = parseFloat(field);
-        if (!isNaN(num) && field.trim() !== '') {
-          roundedCount.value++;
-          return num.toFixed(2);
-        }
-        return field;
-      });
-      return fields.join(',');
-    });
+    rows = rows.map(fields => fields.map(field => {
+      if (isNumericField(field) && !(keepIntegers && /^\s*[-+]?\d+\s*$/.test(field))) {
+        roundedCount.value++;
+        return parseFloat(field).toFixed(2);
+      }
+      return field;
+    }));
 
     if (roundedCount.value > 0) {
       operations.push({
@@ -143,25 +220,59 @@ function applyModerateCSVCompression(header, dataLines, operations, customOption
     }
   }
 
-  // Apply delta encoding to numeric columns (for time-series/sequential data)
-  // Inspired by: Gorilla (Facebook), Daniel Lemire's frame-of-reference encoding
+  // Profile the columns as they are now; the estimates pick each column's encoding.
+  // Arrow output types and dictionary-encodes columns itself, so the text encodings are skipped.
+  const textEncodings = getOutputFormat(customOptions) === 'csv';
+  const packIntegers = customOptions.packIntegers === true;
+  const profile = profileColumns(header, rows, {
+    embedDictionaries: getDictionaryStorage(customOptions) === 'embedded',
+    packIntegers
+  });
+  const encodings = profile.map(column => recommendEncoding(column, {
+    drop: customOptions.removeLowVarianceColumns !== false,
+    numeric: textEncodings && customOptions.deltaEncoding !== false,
+    dictionary: textEncodings && customOptions.dictionaryEncoding !== false
+  }));
+  if (getDictionaryStorage(customOptions) === 'embedded') {
+    dropUnpaidEncodings(profile, encodings, rows);
+  }
+  if (textEncodings) {
+    keepLastColumn(profile, encodings);
+  }
+  const columnsFor = encoding => profile.filter((_, i) => encodings[i] === encoding).map(column => column.index);
+
+  // Encode numeric columns with the smallest exact encoding: frame of reference,
+  // delta, delta-of-delta (regular timestamps) or run length
+  // Inspired by: Parquet encodings, Gorilla (Facebook), Daniel Lemire's frame-of-reference encoding
   // References:
+  // - https://parquet.apache.org/docs/file-format/data-pages/encodings/
   // - "Effective compression using frame-of-reference and delta coding" (Lemire, 2012)
-  // - "The Design of Fast Delta Encoding for Delta Compression" (ACM TOS 2024)
-  // - https://en.wikipedia.org/wiki/Delta_encoding
-  if (customOptions.deltaEncoding !== false && dataLines.length > 1) {
-    const deltaEncodedColumns = applyDeltaEncoding(header, dataLines);
+  // - "Gorilla: A Fast, Scalable, In-Memory Time Series Database" (VLDB 2015)
+  if (columnsFor('numeric').length > 0) {
+    // Run length leaves fields empty, which a column left on its own would write as blank lines
+    const keptColumns = encodings.filter(encoding => encoding !== 'fold' && encoding !== 'drop').length;
+    const numericResult = applyNumericEncoding(header, rows, columnsFor('numeric'), {
+      pack: packIntegers,
+      runLength: keptColumns > 1
+    });
+    const encodedCount = Object.keys(numericResult.plans).length;
 
-    if (deltaEncodedColumns.count > 0) {
-      header = deltaEncodedColumns.header;
-      dataLines = deltaEncodedColumns.dataLines;
+    if (encodedCount > 0) {
+      header = numericResult.header;
+      rows = numericResult.rows;
 
+      const counts = {};
+      Object.values(numericResult.plans).forEach(plan => {
+        counts[plan.encoding] = (counts[plan.encoding] || 0) + 1;
+      });
       operations.push({
-        type: 'delta_encoding',
-        columns: deltaEncodedColumns.count,
-        reversible: true, // Can be reversed using cumulative sum
+        type: 'numeric_encoding',
+        columns: encodedCount,
+        encodings: counts,
+        plans: numericResult.plans,
+        reversible: true, // Exact: decoding rebuilds the original text
         impact: 'medium',
-        description: `Applied delta encoding to ${deltaEncodedColumns.count} numeric column(s)`
+        description: `Encoded ${encodedCount} numeric column(s) (${Object.entries(counts).map(([name, count]) => `${name}: ${count}`).join(', ')})`
       });
     }
   }
@@ -172,17 +283,18 @@ function applyModerateCSVCompression(header, dataLines, operations, customOption
   // - "BtrBlocks: Efficient Columnar Compression for Data Lakes" (SIGMOD 2023)
   // - https://github.com/maxi-k/btrblocks
   // - https://en.wikipedia.org/wiki/Dictionary_coder
-  if (customOptions.dictionaryEncoding !== false && dataLines.length > 1) {
-    const dictionaryResult = applyDictionaryEncoding(header, dataLines);
+  if (columnsFor('dictionary').length > 0) {
+    const dictionaryResult = applyDictionaryEncoding(header, rows, columnsFor('dictionary'));
 
     if (dictionaryResult.count > 0) {
       header = dictionaryResult.header;
-      dataLines = dictionaryResult.dataLines;
+      rows = dictionaryResult.rows;
 
       operations.push({
         type: 'dictionary_encoding',
         columns: dictionaryResult.count,
         unique_values_saved: dictionaryResult.compressionRatio,
+        dictionaries: dictionaryResult.dictionaries,
         reversible: true, // Can be reversed using dictionary lookup
         impact: 'medium',
         description: `Applied dictionary encoding to ${dictionaryResult.count} string column(s)`
@@ -190,39 +302,37 @@ function applyModerateCSVCompression(header, dataLines, operations, customOption
     }
   }
 
-  // Remove low-variance columns (all values are the same)
-  if (customOptions.removeLowVarianceColumns !== false && dataLines.length > 0) {
-    const firstLine = dataLines[0].split(',');
-    const columnsToKeep = [];
+  // Remove low-variance columns: constant ones are folded (value recorded, restored exactly),
+  // ones with a single value besides nulls are dropped
+  const droppedColumns = columnsFor('drop');
+  const foldedColumns = textEncodings ? columnsFor('fold') : [];
+  if (droppedColumns.length > 0 || foldedColumns.length > 0) {
+    // Folded columns are recorded at their position once the dropped columns are gone
+    const remaining = profile.map(column => column.index).filter(i => !droppedColumns.includes(i));
+    const folded = foldedColumns.map(i => ({ name: header[i], index: remaining.indexOf(i), value: rows[0][i] ?? '' }));
 
-    for (let colIndex = 0; colIndex < firstLine.length; colIndex++) {
-      const values = new Set();
-      dataLines.forEach(line => {
-        const fields = line.split(',');
-        if (fields[colIndex]) {
-          values.add(fields[colIndex].trim());
-        }
-      });
-
-      // Keep column if it has more than one unique value
-      if (values.size > 1) {
-        columnsToKeep.push(colIndex);
-      }
-    }
-
-    if (columnsToKeep.length < firstLine.length) {
-      dataLines = dataLines.map(line => {
-        const fields = line.split(',');
-        return columnsToKeep.map(i => fields[i]).join(',');
-      });
+    const columnsToKeep = remaining.filter(i => !foldedColumns.includes(i));
+    header = columnsToKeep.map(i => header[i]);
+    rows = rows.map(fields => columnsToKeep.map(i => fields[i]));
 
+    if (droppedColumns.length > 0) {
       operations.push({
         type: 'remove_low_variance_columns',
-        count: firstLine.length - columnsToKeep.length,
+        count: droppedColumns.length,
+        columns: droppedColumns.map(i => profile[i].name),
         reversible: false,
         impact: 'medium'
       });
     }
+    if (folded.length > 0) {
+      operations.push({
+        type: 'fold_constant_columns',
+        count: folded.length,
+        columns: folded,
+        reversible: true,
+        impact: 'low'
+      });
+    }
   }
 
   // Truncate long text fields
@@ -230,17 +340,14 @@ function applyModerateCSVCompression(header, dataLines, operations, customOption
     const maxLength = customOptions.maxTextLength || 50;
     const truncatedCount = { value: 0 };
 
-    dataLines = dataLines.map(line => {
-      const fields = line.split(',').map(field => {
-        // Only truncate non-numeric text fields
-        if (isNaN(parseFloat(field)) && field.length > maxLength) {
-          truncatedCount.value++;
-          return field.substring(0, maxLength) + '...';
-        }
-        return field;
-      });
-      return fields.join(',');
-    });
+    rows = rows.map(fields => fields.map(field => {
+      // Only truncate non-numeric text fields
+      if (!isNumericField(field) && field.length > maxLength) {
+        truncatedCount.value++;
+        return field.substring(0, maxLength) + '...';
+      }
+      return field;
+    }));
 
     if (truncatedCount.value > 0) {
       operations.push({
@@ -253,288 +360,509 @@ function applyModerateCSVCompression(header, dataLines, operations, customOption
     }
   }
 
-  return { header, dataLines };
+  return { header, rows };
 }
 
 /**
  * Aggressive CSV compression
  */
-function applyAggressiveCSVCompression(header, dataLines, operations, customOptions) {
-  // First apply moderate compression
-  let result = applyModerateCSVCompression(header, dataLines, operations, customOptions);
+function applyAggressiveCSVCompression(header, rows, operations, customOptions) {
+  // Downsample, sample and remove outliers before the moderate passes, so encoded columns still decode
+  rows = applyTimeSeriesDownsampling(header, rows, operations, customOptions);
+  rows = applyRowSampling(header, rows, operations, customOptions);
+  rows = applyOutlierRules(header, rows, operations, customOptions);
+
+  // Then apply moderate compression
+  let result = applyModerateCSVCompression(header, rows, operations, customOptions);
   header = result.header;
-  dataLines = result.dataLines;
+  rows = result.rows;
 
   // Keep only first N columns
-  if (customOptions.keepFirstNColumns && dataLines.length > 0) {
+  if (customOptions.keepFirstNColumns && rows.length > 0) {
     const maxColumns = customOptions.maxColumns || 5;
-    const firstLine = dataLines[0].split(',');
+    const columnCount = rows[0].length;
 
-    if (firstLine.length > maxColumns) {
-      dataLines = dataLines.map(line => {
-        const fields = line.split(',');
-        return fields.slice(0, maxColumns).join(',');
-      });
+    if (columnCount > maxColumns) {
+      header = header.slice(0, maxColumns);
+      rows = rows.map(fields => fields.slice(0, maxColumns));
 
       operations.push({
         type: 'keep_first_n_columns',
         maxColumns: maxColumns,
-        removed: firstLine.length - maxColumns,
+        removed: columnCount - maxColumns,
         reversible: false,
         impact: 'high'
       });
     }
   }
 
-  // Sample rows (keep every nth row)
-  if (customOptions.sampleRows && dataLines.length > 10) {
-    const originalCount = dataLines.length;
-    const sampleRate = customOptions.sampleRate || 5; // Keep every 5th row
+  // Remove non-essential columns (if specified)
+  if (customOptions.removeNonEssentialColumns && customOptions.essentialColumnIndices && rows.length > 0) {
+    const keepIndices = customOptions.essentialColumnIndices;
+    const columnCount = rows[0].length;
+
+    header = keepIndices.map(i => header[i] || '');
+    rows = rows.map(fields => keepIndices.map(i => fields[i] || ''));
 
-    dataLines = dataLines.filter((_, index) => index % sampleRate === 0);
+    operations.push({
+      type: 'remove_non_essential_columns',
+      kept: keepIndices.length,
+      removed: columnCount - keepIndices.length,
+      reversible: false,
+      impact: 'high'
+    });
+  }
 
-    if (dataLines.length < originalCount) {
+  return { header, rows };
+}
+
+/**
+ * Row sampling (aggressive)
+ * sampleRows keeps 1 in sampleRate rows and statisticalSampling 30% (at least 50),
+ * each picked the samplingMode way. Rows matching keepRowsMatching are always kept
+ * and the rest are sampled.
+ */
+function applyRowSampling(header, rows, operations, customOptions) {
+  if (!customOptions.sampleRows && !customOptions.statisticalSampling) {
+    return rows;
+  }
+  const settings = getSamplingSettings(header, customOptions);
+
+  if (customOptions.sampleRows && rows.length > 10) {
+    const originalCount = rows.length;
+    const sampleRate = customOptions.sampleRate || 5; // Keep every 5th row
+    const sample = sampleRecords(rows, { step: sampleRate, fraction: 1 / sampleRate }, settings);
+    rows = sample.rows;
+
+    if (rows.length < originalCount) {
       operations.push({
         type: 'sample_rows',
         sampleRate: sampleRate,
         original: originalCount,
-        sampled: dataLines.length,
+        sampled: rows.length,
+        ...sample.details,
         reversible: false,
         impact: 'high'
       });
     }
   }
 
-  // Remove non-essential columns (if specified)
-  if (customOptions.removeNonEssentialColumns && customOptions.essentialColumnIndices) {
-    const keepIndices = customOptions.essentialColumnIndices;
-    const firstLine = dataLines[0].split(',');
-
-    dataLines = dataLines.map(line => {
-      const fields = line.split(',');
-      return keepIndices.map(i => fields[i] || '').join(',');
-    });
+  if (customOptions.statisticalSampling && rows.length > 100) {
+    const originalCount = rows.length;
+    const sampleSize = Math.max(50, Math.floor(originalCount * 0.3)); // Keep 30% or min 50
+    const sample = sampleRecords(rows, {
+      step: Math.floor(originalCount / sampleSize),
+      fraction: sampleSize / originalCount
+    }, settings);
+    rows = sample.rows;
 
     operations.push({
-      type: 'remove_non_essential_columns',
-      kept: keepIndices.length,
-      removed: firstLine.length - keepIndices.length,
+      type: 'statistical_sampling',
+      original: originalCount,
+      sampled: rows.length,
+      ...sample.details,
       reversible: false,
       impact: 'high'
     });
   }
 
-  // Remove statistical outliers
-  if (customOptions.removeOutliers) {
-    const numericColumns = detectNumericColumns(dataLines);
+  return rows;
+}
+
+/**
+ * Downsample time-ordered rows (downsampleTimeSeries): resample them to a fixed interval
+ * with an aggregate, or keep a number of shape-preserving points with LTTB.
+ * Rows come out in time order; rows without a readable timestamp are left out.
+ * Data without a timestamp (or value) column, when none is named, is left as it is.
+ * @returns {Array<Array<string>>} Downsampled rows
+ */
+function applyTimeSeriesDownsampling(header, rows, operations, customOptions) {
+  if (!customOptions.downsampleTimeSeries || rows.length === 0) {
+    return rows;
+  }
+  const settings = getDownsampleSettings(header, rows, customOptions);
+  if (!settings) {
+    return rows;
+  }
+  const { timeIndex, valueIndex } = settings;
+
+  const points = rows
+    .map(fields => ({ fields, time: settings.format.parse((fields[timeIndex] ?? '').trim()) }))
+    .filter(point => point.time !== null)
+    .sort((a, b) => a.time - b.time);
+  const valueOf = point => (point.fields[valueIndex] ?? '').trim();
+
+  let sampled;
+  const details = { method: settings.method, timestampColumn: header[timeIndex].trim() };
+  if (settings.method === 'lttb') {
+    const usable = points.filter(point => isNumericField(valueOf(point)));
+    sampled = largestTriangleThreeBuckets(usable.map(point => point.time), usable.map(point => parseFloat(valueOf(point))), settings.points)
+      .map(position => usable[position].fields);
+    Object.assign(details, { points: settings.points, valueColumn: header[valueIndex].trim(), skipped: rows.length - usable.length });
+  } else {
+    sampled = bucketByInterval(points.map(point => point.time), settings.interval)
+      .flatMap(({ start, positions }) => aggregateBucket(positions.map(position => points[position]), start, settings));
+    Object.assign(details, {
+      interval: settings.intervalText,
+      aggregate: settings.aggregate,
+      ...(settings.aggregate === 'min-max' ? { valueColumn: header[valueIndex].trim() } : {}),
+      skipped: rows.length - points.length
+    });
+  }
+
+  operations.push({
+    type: 'downsample_time_series',
+    original: rows.length,
+    downsampled: sampled.length,
+    ...details,
+    reversible: false,
+    impact: 'high'
+  });
+  return sampled;
+}
 
-    numericColumns.forEach(colIndex => {
-      const values = dataLines.map(line => {
-        const fields = line.split(',');
-        return parseFloat(fields[colIndex]);
-      }).filter(v => !isNaN(v));
+/**
+ * Reduce one interval's points to its output rows
+ *   mean    - one row stamped with the interval start: numeric columns averaged,
+ *             other columns from the last row
+ *   min-max - the rows with the smallest and largest value, in time order
+ *   last    - the last row
+ */
+function aggregateBucket(points, start, settings) {
+  const last = points[points.length - 1].fields;
 
-      if (values.length < 5) return; // Need enough data for statistics
+  if (settings.aggregate === 'last') {
+    return [last];
+  }
 
-      const mean = values.reduce((a, b) => a + b, 0) / values.length;
-      const stdDev = Math.sqrt(
-        values.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / values.length
-      );
+  if (settings.aggregate === 'min-max') {
+    const valued = points.filter(point => isNumericField((point.fields[settings.valueIndex] ?? '').trim()));
+    if (valued.length === 0) return [last];
+    const value = point => parseFloat(point.fields[settings.valueIndex]);
+    const min = valued.reduce((a, b) => value(b) < value(a) ? b : a);
+    const max = valued.reduce((a, b) => value(b) > value(a) ? b : a);
+    return min === max ? [min.fields] : [min, max].sort((a, b) => a.time - b.time).map(point => point.fields);
+  }
 
-      const threshold = 2; // 2 standard deviations
-      const originalCount = dataLines.length;
+  const fields = [...last];
+  fields[settings.timeIndex] = settings.format.format(start);
+  settings.numericColumns.forEach(({ index, decimals }) => {
+    const values = points.map(point => (point.fields[index] ?? '').trim()).filter(isNumericField).map(parseFloat);
+    // Means get 2 more decimals than the column has
+    fields[index] = values.length === 0
+      ? ''
+      : String(Number((values.reduce((a, b) => a + b, 0) / values.length).toFixed(decimals + 2)));
+  });
+  return [fields];
+}
 
-      dataLines = dataLines.filter(line => {
-        const fields = line.split(',');
-        const value = parseFloat(fields[colIndex]);
-        if (isNaN(value)) return true;
-        return Math.abs(value - mean) <= threshold * stdDev;
-      });
+/**
+ * Validate the downsampling options against the data
+ * @returns {object|null} { method, timeIndex, valueIndex, format, interval, intervalText, aggregate,
+ *   points, numericColumns: [{ index, decimals }] }, or null when no timestamp or value
+ *   column was named and none was found
+ */
+function getDownsampleSettings(header, rows, customOptions) {
+  const method = customOptions.downsampleMethod || 'resample';
+  if (!DOWNSAMPLE_METHODS.includes(method)) {
+    throw new Error(`Unknown downsampling method "${method}" (expected ${DOWNSAMPLE_METHODS.join(', ')})`);
+  }
+  const aggregate = customOptions.resampleAggregate || 'mean';
+  if (!RESAMPLE_AGGREGATES.includes(aggregate)) {
+    throw new Error(`Unknown resample aggregate "${aggregate}" (expected ${RESAMPLE_AGGREGATES.join(', ')})`);
+  }
 
-      if (dataLines.length < originalCount) {
-        operations.push({
-          type: 'remove_outliers',
-          column: colIndex,
-          count: originalCount - dataLines.length,
-          reversible: false,
-          impact: 'high'
-        });
-      }
-    });
+  const profile = profileColumns(header, rows);
+  const timeIndex = customOptions.timestampColumn
+    ? findColumnIndex(header, customOptions.timestampColumn)
+    : detectTimestampColumn(profile);
+  if (timeIndex === -1) {
+    return null;
   }
+  const sample = rows.map(fields => (fields[timeIndex] ?? '').trim()).find(value => value !== '') ?? '';
+
+  const numericColumns = profile
+    .filter(column => column.index !== timeIndex && (column.type === 'int' || column.type === 'float'))
+    .map(column => ({
+      index: column.index,
+      decimals: rows.reduce((max, fields) => Math.max(max, (/\.(\d+)/.exec(fields[column.index] ?? '')?.[1] || '').length), 0)
+    }));
+
+  const settings = {
+    method,
+    timeIndex,
+    format: createTimestampFormat(sample),
+    aggregate,
+    numericColumns
+  };
 
-  // Statistical sampling
-  if (customOptions.statisticalSampling && dataLines.length > 100) {
-    const originalCount = dataLines.length;
-    const sampleSize = Math.max(50, Math.floor(originalCount * 0.3)); // Keep 30% or min 50
+  if (method === 'lttb' || aggregate === 'min-max') {
+    settings.valueIndex = customOptions.downsampleValueColumn
+      ? findColumnIndex(header, customOptions.downsampleValueColumn)
+      : numericColumns[0]?.index ?? -1;
+    if (settings.valueIndex === -1) {
+      return null;
+    }
+  }
 
-    // Systematic sampling
-    const step = Math.floor(originalCount / sampleSize);
-    dataLines = dataLines.filter((_, index) => index % step === 0);
+  if (method === 'lttb') {
+    settings.points = customOptions.lttbPoints ?? 1000;
+    if (!Number.isInteger(settings.points) || settings.points < 3) {
+      throw new Error('lttbPoints must be an integer of at least 3');
+    }
+  } else {
+    settings.intervalText = customOptions.resampleInterval || '1m';
+    settings.interval = parseInterval(settings.intervalText);
+  }
 
+  return settings;
+}
+
+/**
+ * Index of a column in the header, by name
+ */
+function findColumnIndex(header, name) {
+  const index = header.findIndex(field => field.trim() === String(name).trim());
+  if (index === -1) {
+    throw new Error(`Column "${name}" not found in the CSV header`);
+  }
+  return index;
+}
+
+/**
+ * Remove or clip (winsorize) the outliers of each numeric column by its rule: its
+ * outlierRules entry, otherwise outlierMethod and outlierAction, with the method's
+ * threshold option (outlierZscore, outlierIQRFactor, outlierPercentile).
+ * Columns are handled left to right, each on the rows the previous ones left.
+ * @returns {Array<Array<string>>} Remaining rows
+ */
+function applyOutlierRules(header, rows, operations, customOptions) {
+  if (!customOptions.removeOutliers) {
+    return rows;
+  }
+
+  const defaults = { method: customOptions.outlierMethod, action: customOptions.outlierAction };
+  const thresholds = {
+    zscore: customOptions.outlierZscore,
+    iqr: customOptions.outlierIQRFactor,
+    percentile: customOptions.outlierPercentile
+  };
+  const overrides = getOutlierOverrides(header, customOptions.outlierRules);
+  const report = [];
+
+  profileColumns(header, rows)
+    .filter(column => column.type === 'int' || column.type === 'float')
+    .forEach(({ index: colIndex, name }) => {
+      const override = overrides.get(colIndex);
+      if (override === false) return;
+
+      const rule = resolveOutlierRule({ ...defaults, ...override }, thresholds);
+
+      const fields = rows.map(fieldsOfRow => (fieldsOfRow[colIndex] ?? '').trim()).filter(isNumericField);
+      if (fields.length < 5) return; // Need enough data for statistics
+
+      const { lower, upper } = getOutlierFences(fields.map(parseFloat), rule.method, rule.threshold);
+      const isOutlier = field => isNumericField(field) && (parseFloat(field) < lower || parseFloat(field) > upper);
+      // Fences in the report without floating-point noise (3.5500000000000003 → 3.55)
+      const entry = { column: name.trim(), ...rule, lower: Number(lower.toPrecision(12)), upper: Number(upper.toPrecision(12)) };
+
+      if (rule.action === 'clip') {
+        // Clipped values keep the column's number of decimals
+        const decimals = fields.reduce((max, field) => Math.max(max, (/\.(\d+)/.exec(field)?.[1] || '').length), 0);
+        entry.clipped = 0;
+        rows = rows.map(fieldsOfRow => {
+          const field = fieldsOfRow[colIndex] ?? '';
+          if (!isOutlier(field)) return fieldsOfRow;
+          entry.clipped++;
+          const clipped = [...fieldsOfRow];
+          clipped[colIndex] = (parseFloat(field) < lower ? lower : upper).toFixed(decimals);
+          return clipped;
+        });
+      } else {
+        const originalCount = rows.length;
+        rows = rows.filter(fieldsOfRow => !isOutlier(fieldsOfRow[colIndex] ?? ''));
+        entry.removed = originalCount - rows.length;
+      }
+      report.push(entry);
+    });
+
+  const dropped = report.filter(entry => entry.action === 'drop');
+  const removedCount = dropped.reduce((sum, entry) => sum + entry.removed, 0);
+  if (removedCount > 0) {
     operations.push({
-      type: 'statistical_sampling',
-      original: originalCount,
-      sampled: dataLines.length,
+      type: 'remove_outliers',
+      count: removedCount,
+      columns: dropped,
       reversible: false,
       impact: 'high'
     });
   }
 
-  return { header, dataLines };
+  const clipped = report.filter(entry => entry.action === 'clip');
+  const clippedCount = clipped.reduce((sum, entry) => sum + entry.clipped, 0);
+  if (clippedCount > 0) {
+    operations.push({
+      type: 'clip_outliers',
+      count: clippedCount,
+      columns: clipped,
+      reversible: false,
+      impact: 'medium'
+    });
+  }
+
+  return rows;
 }
 
 /**
- * Detect which columns contain numeric data
+ * Read the outlierRules option: { column: { method, threshold, action } }, or false to
+ * leave a column alone
+ * @returns {Map} Column index → rule or false
  */
-function detectNumericColumns(dataLines) {
-  if (dataLines.length === 0) return [];
-
-  const firstLine = dataLines[0].split(',');
-  const numericColumns = [];
-
-  firstLine.forEach((_, colIndex) => {
-    let numericCount = 0;
-    const sampleSize = Math.min(10, dataLines.length);
-
-    for (let i = 0; i < sampleSize; i++) {
-      const fields = dataLines[i].split(',');
-      if (!isNaN(parseFloat(fields[colIndex]))) {
-        numericCount++;
-      }
-    }
+function getOutlierOverrides(header, outlierRules) {
+  const overrides = new Map();
+  if (!outlierRules) return overrides;
+  if (typeof outlierRules !== 'object' || Array.isArray(outlierRules)) {
+    throw new Error('outlierRules must map column names to rules');
+  }
 
-    // If more than 80% are numeric, consider it a numeric column
-    if (numericCount / sampleSize > 0.8) {
-      numericColumns.push(colIndex);
+  Object.entries(outlierRules).forEach(([column, rule]) => {
+    if (rule !== false && (typeof rule !== 'object' || rule === null)) {
+      throw new Error(`Outlier rule for "${column}" must be an object or false`);
     }
+    overrides.set(findColumnIndex(header, column), rule);
   });
-
-  return numericColumns;
+  return overrides;
 }
 
 /**
- * Apply delta encoding to numeric columns
- *
- * Delta encoding stores the difference between consecutive values instead of absolute values.
- * This is particularly effective for time-series data, sequential IDs, timestamps, and
- * monotonically increasing values.
- *
- * Algorithm:
- * 1. Identify numeric columns (all values in column are numbers)
- * 2. For each numeric column, calculate deltas: delta[i] = value[i] - value[i-1]
- * 3. Store first value as-is (base/reference value)
- * 4. Replace subsequent values with their deltas
- *
- * Example:
- * Original: [100, 105, 110, 108, 112]
- * Encoded:  [100, +5, +5, -2, +4]
- *
- * Benefits:
- * - Smaller numbers = fewer digits = less storage
- * - Works well with subsequent compression (gzip, etc.)
- * - Reversible: cumulative sum restores original values
- *
- * References:
- * - Gorilla time-series database (Facebook)
- * - "Effective compression using frame-of-reference and delta coding" (Lemire, 2012)
- * - "The Design of Fast Delta Encoding" (ACM TOS, 2024)
- *
- * @param {string} header - CSV header row
- * @param {Array<string>} dataLines - CSV data rows
- * @returns {Object} { header, dataLines, count } - Modified CSV and count of encoded columns
+ * Validate the sampling options against the header
+ * @returns {object} { mode, seed, column, columnIndex, keep: (fields) → boolean | null, keepRowsMatching }
  */
-function applyDeltaEncoding(header, dataLines) {
-  if (dataLines.length < 2) {
-    return { header, dataLines, count: 0 };
+function getSamplingSettings(header, customOptions) {
+  const mode = customOptions.samplingMode || 'every-nth';
+  if (!SAMPLING_MODES.includes(mode)) {
+    throw new Error(`Unknown sampling mode "${mode}" (expected ${SAMPLING_MODES.join(', ')})`);
   }
 
-  const headerFields = header.split(',');
-  const numColumns = headerFields.length;
+  const settings = { mode, seed: customOptions.sampleSeed ?? 1, keep: null };
+  if (!Number.isInteger(settings.seed)) {
+    throw new Error('sampleSeed must be an integer');
+  }
 
-  // Identify which columns are numeric (all values are numbers)
-  const numericColumns = [];
-  for (let colIndex = 0; colIndex < numColumns; colIndex++) {
-    let isNumeric = true;
-    let hasVariance = false;
-    let prevValue = null;
+  if (mode === 'stratified') {
+    if (!customOptions.stratifyColumn) {
+      throw new Error('Stratified sampling needs a stratifyColumn');
+    }
+    settings.column = customOptions.stratifyColumn;
+    settings.columnIndex = findColumnIndex(header, customOptions.stratifyColumn);
+  }
 
-    for (const line of dataLines) {
-      const fields = line.split(',');
-      const value = fields[colIndex];
-      const num = parseFloat(value);
+  // { column: regex }: rows where any column matches its pattern are always kept
+  const conditions = customOptions.keepRowsMatching;
+  if (conditions) {
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+      throw new Error('keepRowsMatching must map column names to patterns');
+    }
+    const tests = Object.entries(conditions).map(([column, pattern]) => {
+      const index = findColumnIndex(header, column);
+      const regex = new RegExp(pattern);
+      return fields => regex.test((fields[index] ?? '').trim());
+    });
+    settings.keep = fields => tests.some(test => test(fields));
+    settings.keepRowsMatching = conditions;
+  }
 
-      if (isNaN(num) || value.trim() === '') {
-        isNumeric = false;
-        break;
-      }
+  return settings;
+}
 
-      // Check if values have variance (not all the same)
-      if (prevValue !== null && Math.abs(num - prevValue) > 0.01) {
-        hasVariance = true;
-      }
-      prevValue = num;
-    }
+/**
+ * Sample rows, keeping their order
+ * @param {Array<Array<string>>} rows - Rows to sample
+ * @param {object} size - { step } for every-nth, { fraction } for reservoir and stratified
+ * @param {object} settings - From getSamplingSettings
+ * @returns {object} { rows, details } - details describe the sample for the manifest
+ */
+function sampleRecords(rows, { step, fraction }, settings) {
+  const kept = [];
+  const others = [];
+  rows.forEach((fields, index) => {
+    (settings.keep?.(fields) ? kept : others).push(index);
+  });
 
-    // Only apply delta encoding to numeric columns with variance
-    if (isNumeric && hasVariance) {
-      numericColumns.push(colIndex);
-    }
+  const details = { mode: settings.mode };
+  let picked;
+  if (settings.mode === 'every-nth') {
+    picked = others.filter((_, position) => position % step === 0);
+  } else if (settings.mode === 'reservoir') {
+    const random = createRandom(settings.seed);
+    picked = reservoirSample(others.length, Math.ceil(others.length * fraction), random)
+      .map(position => others[position]);
+    details.seed = settings.seed;
+  } else {
+    const random = createRandom(settings.seed);
+    const keys = others.map(index => (rows[index][settings.columnIndex] ?? '').trim());
+    const sample = stratifiedSample(keys, fraction, random);
+    picked = sample.picked.map(position => others[position]);
+    details.seed = settings.seed;
+    details.column = settings.column;
+    details.strata = sample.strata;
   }
 
-  if (numericColumns.length === 0) {
-    return { header, dataLines, count: 0 };
+  if (settings.keep) {
+    details.keepRowsMatching = settings.keepRowsMatching;
+    details.keptMatching = kept.length;
   }
 
-  // Apply delta encoding to identified columns
-  const encodedLines = dataLines.map((line, rowIndex) => {
-    const fields = line.split(',');
+  const selected = new Set([...kept, ...picked]);
+  return { rows: rows.filter((_, index) => selected.has(index)), details };
+}
 
-    // For each numeric column, replace with delta
-    for (const colIndex of numericColumns) {
-      const currentValue = parseFloat(fields[colIndex]);
+/**
+ * Check whether a parsed record is a blank line
+ */
+function isBlankRecord(record) {
+  return record.length === 1 && record[0].trim() === '';
+}
 
-      if (rowIndex === 0) {
-        // First row: keep original value (base/reference)
-        fields[colIndex] = currentValue.toString();
-      } else {
-        // Subsequent rows: calculate delta from previous row
-        const prevLine = dataLines[rowIndex - 1];
-        const prevFields = prevLine.split(',');
-        const prevValue = parseFloat(prevFields[colIndex]);
-        const delta = currentValue - prevValue;
-
-        // Store delta with sign prefix for clarity
-        fields[colIndex] = (delta >= 0 ? '+' : '') + delta.toFixed(2);
-      }
-    }
+/**
+ * Apply each column's planned numeric encoding (see numeric-encoding.js)
+ * Columns the planner finds no smaller encoding for are left as they are.
+ *
+ * @param {Array<string>} header - CSV header fields
+ * @param {Array<Array<string>>} rows - CSV data rows (arrays of fields)
+ * @param {Array<number>} columns - Indices of the columns to encode
+ * @param {object} options - { pack, runLength } as for planNumericColumn
+ * @returns {Object} { header, rows, plans } - Modified CSV and the decoding plan of each
+ *   encoded column, keyed by original column name
+ */
+function applyNumericEncoding(header, rows, columns, options) {
+  const encodedHeader = [...header];
+  const encodedRows = rows.map(fields => [...fields]);
+  const plans = {};
 
-    return fields.join(',');
-  });
+  columns.forEach(colIndex => {
+    const planned = planNumericColumn(rows.map(fields => fields[colIndex] ?? ''), options);
+    if (!planned) return;
 
-  // Update header to indicate delta-encoded columns
-  const updatedHeader = headerFields.map((field, index) => {
-    if (numericColumns.includes(index)) {
-      return `${field}(Δ)`; // Add delta symbol to indicate encoding
-    }
-    return field;
-  }).join(',');
+    planned.encoded.forEach((value, rowIndex) => {
+      encodedRows[rowIndex][colIndex] = value;
+    });
+    encodedHeader[colIndex] = header[colIndex] + getEncodingSuffix(planned.encoding);
+    plans[header[colIndex]] = planned.plan;
+  });
 
-  return {
-    header: updatedHeader,
-    dataLines: encodedLines,
-    count: numericColumns.length
-  };
+  return { header: encodedHeader, rows: encodedRows, plans };
 }
 
 /**
- * Apply dictionary encoding to string columns
+ * Apply dictionary encoding to columns with repeated values
  *
  * Dictionary encoding replaces repeated string values with integer codes,
  * significantly reducing file size when columns have many repeated values.
  *
  * Algorithm:
- * 1. Identify string columns (non-numeric columns with repeated values)
+ * 1. Take the columns the column profile chose (at least 3 distinct values that
+ *    repeat, and dictionary encoding estimated to save more than delta encoding)
  * 2. For each column, build a dictionary mapping unique values to codes (0, 1, 2, ...)
  * 3. Replace all values with their dictionary codes
  * 4. Store dictionary as header comment or separate structure
@@ -555,89 +883,27 @@ function applyDeltaEncoding(header, dataLines) {
  * - SAP HANA Dictionary Compression
  * - https://en.wikipedia.org/wiki/Dictionary_coder
  *
- * @param {string} header - CSV header row
- * @param {Array<string>} dataLines - CSV data rows
- * @returns {Object} { header, dataLines, count, compressionRatio } - Modified CSV and encoding stats
+ * @param {Array<string>} header - CSV header fields
+ * @param {Array<Array<string>>} rows - CSV data rows (arrays of fields)
+ * @param {Array<number>} columns - Indices of the columns to encode
+ * @returns {Object} { header, rows, count, compressionRatio, dictionaries } - Modified CSV,
+ *   encoding stats and the per-column code → value lists (keyed by original column name)
  */
-function applyDictionaryEncoding(header, dataLines) {
-  if (dataLines.length < 2) {
-    return { header, dataLines, count: 0, compressionRatio: 0 };
-  }
-
-  const headerFields = header.split(',');
-  const numColumns = headerFields.length;
-
-  // Identify which columns are string columns with repetition
-  const stringColumnsWithRepetition = [];
-
-  for (let colIndex = 0; colIndex < numColumns; colIndex++) {
-    const values = [];
-    let isNumericColumn = true;
-
-    // Collect all values in this column
-    for (const line of dataLines) {
-      const fields = line.split(',');
-      const value = fields[colIndex] ? fields[colIndex].trim() : '';
-      values.push(value);
-
-      // Check if this is a numeric column (delta encoding should handle these)
-      if (value !== '' && isNaN(parseFloat(value))) {
-        isNumericColumn = false;
-      }
-    }
-
-    // Skip numeric columns (delta encoding handles those)
-    if (isNumericColumn) {
-      continue;
-    }
-
-    // Count unique values
-    const uniqueValues = new Set(values);
-
-    // Only apply dictionary encoding if:
-    // 1. Column has repeated values (unique count < total count)
-    // 2. Unique values < 80% of total values (significant repetition)
-    // 3. At least 3 unique values (avoid low-variance columns handled elsewhere)
-    const repetitionRate = uniqueValues.size / values.length;
-    if (uniqueValues.size >= 3 && uniqueValues.size < values.length && repetitionRate < 0.8) {
-      stringColumnsWithRepetition.push({
-        index: colIndex,
-        uniqueCount: uniqueValues.size,
-        totalCount: values.length,
-        repetitionRate
-      });
-    }
-  }
-
-  if (stringColumnsWithRepetition.length === 0) {
-    return { header, dataLines, count: 0, compressionRatio: 0 };
-  }
-
-  // Build dictionaries for each column and apply encoding
-  const encodedLines = dataLines.map(line => {
-    const fields = line.split(',');
-
-    for (const colInfo of stringColumnsWithRepetition) {
-      const colIndex = colInfo.index;
-      const value = fields[colIndex] ? fields[colIndex].trim() : '';
-
-      // Build dictionary on first pass (we'll rebuild properly below)
-      // For now, just mark that we'll encode this column
-    }
-
-    return fields.join(',');
+function applyDictionaryEncoding(header, rows, columns) {
+  const encodedColumns = columns.map(colIndex => {
+    const uniqueValues = new Set(rows.map(fields => fields[colIndex] ? fields[colIndex].trim() : ''));
+    return { index: colIndex, repetitionRate: uniqueValues.size / rows.length };
   });
 
   // Build dictionaries for each column
   const columnDictionaries = [];
 
-  for (const colInfo of stringColumnsWithRepetition) {
+  for (const colInfo of encodedColumns) {
     const colIndex = colInfo.index;
     const uniqueValues = new Set();
 
     // Collect unique values
-    for (const line of dataLines) {
-      const fields = line.split(',');
+    for (const fields of rows) {
       const value = fields[colIndex] ? fields[colIndex].trim() : '';
       uniqueValues.add(value);
     }
@@ -661,8 +927,8 @@ function applyDictionaryEncoding(header, dataLines) {
   }
 
   // Apply encoding using dictionaries
-  const finalEncodedLines = dataLines.map(line => {
-    const fields = line.split(',');
+  const encodedRows = rows.map(row => {
+    const fields = [...row];
 
     for (const dictInfo of columnDictionaries) {
       const colIndex = dictInfo.colIndex;
@@ -670,130 +936,386 @@ function applyDictionaryEncoding(header, dataLines) {
       fields[colIndex] = dictInfo.dictionary[value].toString();
     }
 
-    return fields.join(',');
+    return fields;
   });
 
   // Update header to indicate dictionary-encoded columns
-  const updatedHeader = headerFields.map((field, index) => {
+  const updatedHeader = header.map((field, index) => {
     if (columnDictionaries.some(d => d.colIndex === index)) {
       return `${field}(D)`; // Add dictionary symbol to indicate encoding
     }
     return field;
-  }).join(',');
+  });
 
   // Calculate compression ratio (average unique values across all encoded columns)
-  const avgCompressionRatio = stringColumnsWithRepetition.length > 0
-    ? (stringColumnsWithRepetition.reduce((sum, col) => sum + col.repetitionRate, 0) / stringColumnsWithRepetition.length * 100).toFixed(1)
+  const avgCompressionRatio = encodedColumns.length > 0
+    ? (encodedColumns.reduce((sum, col) => sum + col.repetitionRate, 0) / encodedColumns.length * 100).toFixed(1)
     : 0;
 
+  // Keep the code → value lists so the encoding can be reversed
+  const dictionaries = {};
+  columnDictionaries.forEach(dictInfo => {
+    dictionaries[header[dictInfo.colIndex]] = Object.values(dictInfo.reverseDictionary);
+  });
+
   return {
     header: updatedHeader,
-    dataLines: finalEncodedLines,
-    count: stringColumnsWithRepetition.length,
-    compressionRatio: parseFloat(avgCompressionRatio)
+    rows: encodedRows,
+    count: encodedColumns.length,
+    compressionRatio: parseFloat(avgCompressionRatio),
+    dictionaries
   };
 }
 
 /**
- * Get custom options for CSV compression
+ * Decode the encoded columns of compressed CSV back to their values, and put folded
+ * columns back. The dictionaries, numeric plans and folded values come from the file's
+ * embedded trailer, or from the manifest it was written with. Delta columns of older
+ * files ((Δ) suffix) decode without either.
+ * @param {string} content - Compressed CSV
+ * @param {object} manifest - Manifest (or its operations list), for files without a trailer
+ * @returns {string} CSV with the original column names and values
  */
-export function getCSVOptions() {
-  return {
-    removeEmptyRows: {
-      default: true,
-      impact: 'low',
-      description: 'Remove rows with all empty values',
-      reversible: false
-    },
-    deduplicateRows: {
-      default: true,
-      impact: 'medium',
-      description: 'Remove duplicate rows',
-      reversible: false
-    },
-    roundNumbers: {
-      default: true,
-      impact: 'medium',
-      description: 'Round numbers to 2 decimal places',
-      reversible: false
-    },
-    deltaEncoding: {
-      default: true,
-      impact: 'medium',
-      description: 'Apply delta encoding to numeric columns (stores differences between consecutive values)',
-      reversible: true
-    },
-    dictionaryEncoding: {
-      default: true,
-      impact: 'medium',
-      description: 'Apply dictionary encoding to string columns (replaces repeated values with integer codes)',
-      reversible: true
-    },
-    removeLowVarianceColumns: {
-      default: true,
-      impact: 'medium',
-      description: 'Remove columns where all values are the same',
-      reversible: false
-    },
-    truncateText: {
-      default: true,
-      impact: 'medium',
-      description: 'Truncate long text fields to 50 characters',
-      reversible: false
-    },
-    maxTextLength: {
-      default: 50,
-      impact: 'medium',
-      description: 'Maximum length for text fields before truncation',
-      reversible: false
-    },
-    keepFirstNColumns: {
-      default: false,
-      impact: 'high',
-      description: 'Keep only the first N columns',
-      reversible: false
-    },
-    maxColumns: {
-      default: 5,
-      impact: 'high',
-      description: 'Number of columns to keep (when keepFirstNColumns is enabled)',
-      reversible: false
-    },
-    sampleRows: {
-      default: false,
-      impact: 'high',
-      description: 'Sample rows (keep every nth row)',
-      reversible: false
-    },
-    sampleRate: {
-      default: 5,
-      impact: 'high',
-      description: 'Keep every nth row (when sampleRows is enabled)',
-      reversible: false
-    },
-    removeNonEssentialColumns: {
-      default: false,
-      impact: 'high',
-      description: 'Remove all columns except specified essential ones',
-      reversible: false
+export function decodeCSV(content, manifest = null) {
+  const table = csvRestoreHandlers.parse(content);
+  const operations = Array.isArray(manifest) ? manifest : manifest?.operations || [];
+  const dictionaryOperation = operations.find(op => op.type === 'dictionary_encoding') || {};
+  const numericOperation = operations.find(op => op.type === 'numeric_encoding') || {};
+  const foldOperation = operations.find(op => op.type === 'fold_constant_columns') || {};
+  const deltaOperation = operations.find(op => op.type === 'delta_encoding') || {};
+
+  unfoldColumns(table, foldOperation.columns || table.embedded?.folded);
+  decodeNumericColumns(table, numericOperation.plans || table.embedded?.numeric);
+  decodeDeltaColumns(table, {
+    decimals: deltaOperation.decimals ?? table.embedded?.decimals,
+    bases: deltaOperation.bases || table.embedded?.deltaBases
+  });
+  decodeDictionaryColumns(table, dictionaryOperation.dictionaries || table.embedded?.dictionaries);
+  return csvRestoreHandlers.serialize(table);
+}
+
+/**
+ * Inverse transforms for reversible CSV operations, used by the restore tool.
+ * Encoded columns are located by their (D) / (for), (delta), (dod), (rle) / (Δ) header
+ * suffix; an embedded trailer is read by parse and stands in for what the manifest misses.
+ */
+export const csvRestoreHandlers = {
+  parse: content => {
+    const { body, embedded } = splitTrailer(content);
+    const { records, delimiter, lineEnding } = parseCSV(body);
+    const nonBlank = records.filter(record => !isBlankRecord(record));
+    return {
+      headerFields: nonBlank.length > 0 ? nonBlank[0] : [],
+      rows: nonBlank.slice(1),
+      delimiter,
+      lineEnding,
+      embedded
+    };
+  },
+  serialize: ({ headerFields, rows, delimiter, lineEnding }) =>
+    serializeCSV([headerFields, ...rows], { delimiter, lineEnding }),
+  operations: {
+    dictionary_encoding(table, operation) {
+      return decodeDictionaryColumns(table, operation.dictionaries || table.embedded?.dictionaries);
     },
-    essentialColumnIndices: {
-      default: [],
-      impact: 'high',
-      description: 'Array of column indices to keep (when removeNonEssentialColumns is enabled)',
-      reversible: false
+
+    numeric_encoding(table, operation) {
+      return decodeNumericColumns(table, operation.plans || table.embedded?.numeric);
     },
-    removeOutliers: {
-      default: false,
-      impact: 'high',
-      description: 'Remove statistical outliers (beyond 2 standard deviations)',
-      reversible: false
+
+    fold_constant_columns(table, operation) {
+      return unfoldColumns(table, operation.columns || table.embedded?.folded);
     },
-    statisticalSampling: {
-      default: false,
-      impact: 'high',
-      description: 'Use statistical sampling to reduce row count (keep 30%)',
-      reversible: false
+
+    // Files written before the numeric encoding planner
+    delta_encoding(table, operation) {
+      return decodeDeltaColumns(table, {
+        decimals: operation.decimals,
+        bases: operation.bases || table.embedded?.deltaBases
+      });
+    }
+  }
+};
+
+/**
+ * Read the outputFormat option
+ */
+function getOutputFormat(customOptions) {
+  const format = customOptions.outputFormat || 'csv';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Write rows as an Arrow IPC stream, typed from the column profile: integers, floats,
+ * booleans and YYYY-MM-DD dates get their Arrow types, and text columns that dictionary
+ * encoding would shrink are stored as Arrow dictionaries. Null tokens become nulls.
+ * @returns {object} { stream: Uint8Array, types: { [column]: Arrow column type } }
+ */
+function writeArrowTable(header, rows, customOptions) {
+  const types = {};
+  const columns = profileColumns(header, rows).map(column => {
+    const values = rows.map(fields => (fields[column.index] ?? '').trim());
+    const present = values.filter(value => !isNullValue(value));
+    let type = 'utf8';
+
+    if (column.type === 'int' && !present.some(value => /^[-+]?0\d/.test(value)) &&
+        present.every(value => BigInt.asIntN(64, BigInt(value)) === BigInt(value))) {
+      type = 'int'; // Leading zeros (zip codes, ids) and integers beyond 64 bits stay text
+    } else if (column.type === 'float') {
+      type = 'float';
+    } else if (column.type === 'boolean') {
+      type = 'bool';
+    } else if (column.type === 'date' && present.every(value => /^\d{4}-\d{2}-\d{2}$/.test(value))) {
+      type = 'date';
+    } else if (recommendEncoding(column, { dictionary: customOptions.dictionaryEncoding !== false }) === 'dictionary') {
+      type = 'dictionary';
+    }
+
+    types[column.name] = type;
+    return { name: column.name, type, values: values.map(value => toArrowValue(value, type)) };
+  });
+
+  return { stream: writeArrowStream(columns), types };
+}
+
+function toArrowValue(value, type) {
+  if (isNullValue(value)) return null;
+  switch (type) {
+    case 'int': {
+      const number = Number(value);
+      return Number.isSafeInteger(number) ? number : BigInt(value);
     }
+    case 'float':
+      return Number(value);
+    case 'bool':
+      return /^(?:true|yes|t|y)$/i.test(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Read the dictionaryStorage option
+ */
+function getDictionaryStorage(customOptions) {
+  const storage = customOptions.dictionaryStorage || 'manifest';
+  if (!DICTIONARY_STORAGE.includes(storage)) {
+    throw new Error(`Unknown dictionary storage "${storage}" (expected ${DICTIONARY_STORAGE.join(', ')})`);
+  }
+  return storage;
+}
+
+/**
+ * Keep a column out of folding when folding would remove every column: the file
+ * would then hold no rows, so neither restore nor decodeCSV could put them back.
+ * The first folded column with a value is kept; when they are all empty, none is
+ * folded, since a single empty column would be written as blank lines, which are
+ * not rows either.
+ * @param {Array<object>} profile - Column profiles
+ * @param {Array<string|null>} encodings - Chosen encoding per column, updated in place
+ */
+function keepLastColumn(profile, encodings) {
+  if (encodings.some(encoding => encoding !== 'fold' && encoding !== 'drop')) return;
+
+  const folded = profile.filter((_, i) => encodings[i] === 'fold');
+  const kept = folded.find(column => column.cardinality > 0);
+  (kept ? [kept] : folded).forEach(column => {
+    encodings[column.index] = null;
+  });
+}
+
+/**
+ * In embedded mode, turn off encodings that do not pay for their part of the trailer
+ * Column savings already count each column's own dictionary or numeric plan; folded
+ * columns are charged their record here. Each section of the trailer and the trailer
+ * line itself cost their framing too, so a section saving less than its framing is
+ * dropped, and so is everything when the rest would not cover the line.
+ * @param {Array<object>} profile - Column profiles
+ * @param {Array<string|null>} encodings - Chosen encoding per column, updated in place
+ * @param {Array<Array<string>>} rows - Data rows, for the values of folded columns
+ */
+function dropUnpaidEncodings(profile, encodings, rows) {
+  const sections = { numeric: 'numeric', dictionary: 'dictionaries', fold: 'folded' };
+  const savings = { numeric: 0, dictionary: 0, fold: 0 };
+
+  profile.forEach((column, i) => {
+    const encoding = encodings[i];
+    if (!(encoding in savings)) return;
+
+    const saving = encoding === 'fold'
+      ? column.savings.drop - JSON.stringify({ name: column.name, index: column.index, value: rows[0]?.[column.index] ?? '' }).length - 1
+      : column.savings[encoding];
+    if (saving > 0) {
+      savings[encoding] += saving;
+    } else {
+      encodings[i] = null;
+    }
+  });
+
+  const clear = encoding => {
+    encodings.forEach((chosen, i) => {
+      if (chosen === encoding) encodings[i] = null;
+    });
+    savings[encoding] = 0;
   };
+
+  Object.entries(sections).forEach(([encoding, key]) => {
+    if (savings[encoding] <= `${JSON.stringify(key)}:{}`.length) clear(encoding);
+  });
+  const total = Object.values(savings).reduce((a, b) => a + b, 0);
+  if (total <= `\n${TRAILER_PREFIX}{}`.length) {
+    Object.keys(sections).forEach(clear);
+  }
+}
+
+/**
+ * Trailer contents for the encodings recorded so far, or null when nothing was encoded
+ * @returns {object|null} { dictionaries?, numeric?, folded? }
+ */
+function collectEncodingMetadata(operations) {
+  const metadata = {};
+  const dictionaryOperation = operations.find(op => op.type === 'dictionary_encoding');
+  const numericOperation = operations.find(op => op.type === 'numeric_encoding');
+  const foldOperation = operations.find(op => op.type === 'fold_constant_columns');
+
+  if (dictionaryOperation) {
+    metadata.dictionaries = dictionaryOperation.dictionaries;
+  }
+  if (numericOperation) {
+    metadata.numeric = numericOperation.plans;
+  }
+  if (foldOperation) {
+    metadata.folded = foldOperation.columns;
+  }
+  return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+/**
+ * Split the embedded trailer line off compressed CSV
+ * @returns {object} { body, embedded } - embedded is null when there is no (valid) trailer
+ */
+function splitTrailer(content) {
+  const start = content.lastIndexOf(`\n${TRAILER_PREFIX}`);
+  if (start === -1) {
+    return { body: content, embedded: null };
+  }
+
+  try {
+    const embedded = JSON.parse(content.slice(start + 1 + TRAILER_PREFIX.length));
+    return { body: content.slice(0, start).replace(/\r$/, ''), embedded }; // CRLF files end the body with \r
+  } catch (error) {
+    return { body: content, embedded: null }; // A data row that happens to start with the prefix
+  }
+}
+
+/**
+ * Turn dictionary codes back into values in every (D) column
+ */
+function decodeDictionaryColumns(table, dictionaries) {
+  const encoded = table.headerFields.some(field => field.endsWith('(D)'));
+  if (encoded && !dictionaries) {
+    throw new Error('No column dictionaries found: the file has no embedded trailer and the manifest does not record them');
+  }
+
+  table.headerFields.forEach((field, colIndex) => {
+    if (!field.endsWith('(D)')) return;
+
+    const name = field.slice(0, -'(D)'.length);
+    const values = dictionaries[name];
+    if (!values) return;
+
+    table.rows.forEach(fields => {
+      const code = parseInt(fields[colIndex], 10);
+      if (!isNaN(code) && code < values.length) {
+        fields[colIndex] = values[code];
+      }
+    });
+    table.headerFields[colIndex] = name;
+  });
+
+  return table;
+}
+
+/**
+ * Decode every column whose header carries its numeric encoding's suffix
+ */
+function decodeNumericColumns(table, plans) {
+  const encoded = table.headerFields.some(field => /\((?:for|delta|dod|rle)\)$/.test(field));
+  if (encoded && !plans) {
+    throw new Error('No numeric encoding plans found: the file has no embedded trailer and the manifest does not record them');
+  }
+
+  table.headerFields.forEach((field, colIndex) => {
+    const name = Object.keys(plans || {}).find(key => field === key + getEncodingSuffix(plans[key].encoding));
+    if (name === undefined) return;
+
+    let decoded;
+    try {
+      decoded = decodeNumericColumn(table.rows.map(fields => fields[colIndex] ?? ''), plans[name]);
+    } catch (error) {
+      throw new Error(`Column "${name}": ${error.message}`);
+    }
+    table.rows.forEach((fields, rowIndex) => {
+      fields[colIndex] = decoded[rowIndex];
+    });
+    table.headerFields[colIndex] = name;
+  });
+
+  return table;
+}
+
+/**
+ * Put folded constant columns back at their positions
+ */
+function unfoldColumns(table, folded) {
+  if (!folded) return table;
+
+  [...folded].sort((a, b) => a.index - b.index).forEach(({ name, index, value }) => {
+    if (table.headerFields.includes(name)) return; // Already restored
+    table.headerFields.splice(index, 0, name);
+    table.rows.forEach(fields => fields.splice(index, 0, value));
+  });
+
+  return table;
+}
+
+/**
+ * Turn deltas back into values in every (Δ) column of files written before the
+ * numeric encoding planner
+ * With recorded bases, a column whose first value is not its base (rows were removed
+ * or reordered after encoding) is rejected rather than decoded into wrong values.
+ */
+function decodeDeltaColumns(table, { decimals = 2, bases } = {}) {
+  table.headerFields.forEach((field, colIndex) => {
+    if (!field.endsWith('(Δ)')) return;
+
+    const name = field.slice(0, -'(Δ)'.length);
+    const base = bases?.[name];
+    if (base !== undefined && table.rows.length > 0 && parseFloat(table.rows[0][colIndex]) !== base) {
+      throw new Error(`Column "${name}" does not start with its delta base ${base}; rows were removed after encoding`);
+    }
+
+    // Cumulative sum of the deltas restores the original values
+    let runningValue = 0;
+    table.rows.forEach((fields, rowIndex) => {
+      const value = parseFloat(fields[colIndex]);
+      if (isNaN(value)) return;
+
+      runningValue = rowIndex === 0 ? value : runningValue + value;
+      fields[colIndex] = parseFloat(runningValue.toFixed(decimals)).toString();
+    });
+    table.headerFields[colIndex] = name;
+  });
+
+  return table;
+}
+
+/**
+ * Get custom options for CSV compression (the CSV table in compression-options.js)
+ */
+export function getCSVOptions() {
+  return getOptionsForFileType('CSV');
 }
@@ -0,0 +1,170 @@
+/**
+ * Compression engine registry
+ * Shared by the compression worker and the main-thread fallback
+ */
+
+import { getOptionsForFileType } from '../utils/compression-options.js';
+
+import { compressJSON } from './json.js';
+import { compressJSONStream } from './json-stream.js';
+import { compressNDJSON } from './ndjson.js';
+import { compressCSV } from './csv.js';
+import { compressJavaScript } from './javascript.js';
+import { compressHTML, compressCSS } from './html-css.js';
+import { compressSQL } from './sql.js';
+import { compressSVG } from './svg.js';
+import { compressXML, compressYAML } from './xml-yaml.js';
+import { compressText } from './text.js';
+
+export const compressionEngines = {
+  JSON: compressJSON,
+  NDJSON: compressNDJSON,
+  CSV: compressCSV,
+  JavaScript: compressJavaScript,
+  HTML: compressHTML,
+  CSS: compressCSS,
+  SQL: compressSQL,
+  SVG: compressSVG,
+  XML: compressXML,
+  YAML: compressYAML,
+  Text: compressText,
+  Markdown: compressText
+};
+
+// Engines that read their input as a stream, for files too large to load whole
+export const streamingEngines = {
+  JSON: compressJSONStream
+};
+
+// Inputs above this size (in bytes) are streamed when their file type allows it
+export const STREAMING_THRESHOLD = 32 * 1024 * 1024;
+
+/**
+ * Register (or replace) the engine for a file type
+ * @param {string} fileType - File type name, e.g. 'TOML'
+ * @param {Function} compressFunc - async (content, level, options, onStage) => { compressed, operations, originalSize, compressedSize }
+ *   plus `extension` when the output is in another format (CSV as Arrow: compressed is a Uint8Array, extension 'arrows').
+ *   onStage may be null; engines call it with 'parse', 'compress' and 'serialize' as they reach each stage,
+ *   or only with 'compress' when they rewrite the text directly
+ */
+export function registerEngine(fileType, compressFunc) {
+  if (typeof compressFunc !== 'function') {
+    throw new Error(`Engine for ${fileType} must be a function`);
+  }
+  compressionEngines[fileType] = compressFunc;
+}
+
+// Extra operations per file type, run in registration order around the engine
+const extraOperations = {};
+
+/**
+ * Register an operation that runs before or after a file type's engine
+ * @param {string} fileType - File type the operation applies to
+ * @param {object} operation - {
+ *   type: string,                    // Operation type recorded in the manifest
+ *   option: string,                  // Option key that enables it (see registerOptions)
+ *   stage: 'before' | 'after',       // Run on the original input or on the engine output (default: 'after')
+ *   levels: Array<string>,           // Loss levels it runs at (default: all)
+ *   apply: async (content, { level, options }) => ({ content, count, details }) or null when nothing changed
+ * }
+ */
+export function registerOperation(fileType, operation) {
+  if (!operation?.type || typeof operation.apply !== 'function') {
+    throw new Error(`Operation for ${fileType} needs a type and an apply function`);
+  }
+  (extraOperations[fileType] = extraOperations[fileType] || []).push(operation);
+}
+
+/**
+ * List the file types with a registered engine
+ */
+export function getSupportedTypes() {
+  return Object.keys(compressionEngines);
+}
+
+/**
+ * Check whether a file type can be compressed as a stream
+ * Extra operations work on whole strings, so file types with any registered cannot.
+ */
+export function canStream(fileType) {
+  return Boolean(streamingEngines[fileType]) && !(extraOperations[fileType]?.length > 0);
+}
+
+/**
+ * Run the streaming engine for a file type
+ * @param {string} fileType - File type with a streaming engine (see canStream)
+ * @param {Function} openInput - Returns a fresh ReadableStream or async iterable of chunks
+ * @param {string} level - Loss level (minimal, moderate, aggressive)
+ * @param {object} customOptions - Custom compression options
+ * @param {object} output - Optional sink { write(chunk) }; the result holds a Blob without one
+ * @param {Function} onStage - Optional (stage) => void, called as the engine reaches each stage
+ * @returns {Promise<object>} Engine result { compressed, operations, originalSize, compressedSize }
+ */
+export async function runStreamingCompression(fileType, openInput, level, customOptions = {}, output = null, onStage = null) {
+  if (!canStream(fileType)) {
+    throw new Error(`${fileType} files cannot be streamed`);
+  }
+  return streamingEngines[fileType](openInput, level, customOptions, output, onStage);
+}
+
+/**
+ * Run the engine for a file type
+ * @param {string} fileType - File type (JSON, CSV, etc.)
+ * @param {string} content - File content
+ * @param {string} level - Loss level (minimal, moderate, aggressive)
+ * @param {object} customOptions - Custom compression options
+ * @param {Function} onStage - Optional (stage) => void, called as the engine reaches each stage
+ * @returns {Promise<object>} Engine result { compressed, operations, originalSize, compressedSize }
+ */
+export async function runCompression(fileType, content, level, customOptions = {}, onStage = null) {
+  const compressFunc = compressionEngines[fileType];
+
+  if (!compressFunc) {
+    throw new Error(`Unsupported file type: ${fileType}`);
+  }
+
+  const operations = extraOperations[fileType] || [];
+  if (operations.length === 0) {
+    return compressFunc(content, level, customOptions, onStage);
+  }
+
+  const before = await applyExtraOperations(fileType, 'before', content, level, customOptions);
+  const result = await compressFunc(before.content, level, customOptions, onStage);
+  const after = await applyExtraOperations(fileType, 'after', result.compressed, level, customOptions);
+
+  return {
+    ...result,
+    compressed: after.content,
+    operations: [...before.applied, ...(result.operations || []), ...after.applied],
+    originalSize: content.length,
+    compressedSize: after.content.length
+  };
+}
+
+async function applyExtraOperations(fileType, stage, content, level, customOptions) {
+  const schema = getOptionsForFileType(fileType);
+  const applied = [];
+
+  for (const operation of extraOperations[fileType]) {
+    if ((operation.stage || 'after') !== stage) continue;
+    if (operation.levels && !operation.levels.includes(level)) continue;
+
+    const option = schema[operation.option] || {};
+    const enabled = customOptions[operation.option] ?? option.default ?? true;
+    if (!enabled) continue;
+
+    const output = await operation.apply(content, { level, options: customOptions });
+    if (!output || output.content === content) continue;
+
+    content = output.content;
+    applied.push({
+      type: operation.type,
+      count: output.count ?? 1,
+      ...output.details,
+      reversible: option.reversible ?? false,
+      impact: option.impact || 'medium'
+    });
+  }
+
+  return { content, applied };
+}
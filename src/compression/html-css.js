@@ -5,7 +5,8 @@
 /**
  * Compress HTML with specified loss level
  */
-export async function compressHTML(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressHTML(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
+  onStage?.('compress');
   const operations = [];
   const originalSize = content.length;
   let compressed = content;
@@ -35,7 +36,8 @@ export async function compressHTML(content, lossLevel = 'moderate', customOption
 /**
  * Compress CSS with specified loss level
  */
-export async function compressCSS(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressCSS(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
+  onStage?.('compress');
   const operations = [];
   const originalSize = content.length;
   let compressed = content;
@@ -5,7 +5,8 @@
 /**
  * Compress JavaScript with specified loss level
  */
-export async function compressJavaScript(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressJavaScript(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
+  onStage?.('compress');
   const operations = [];
   const originalSize = content.length;
   let compressed = content;
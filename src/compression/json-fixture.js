@@ -0,0 +1,135 @@
+/**
+ * JSON fixture mode
+ * Shrinks production JSON into a test fixture that keeps the schema: every key and
+ * every value type, including those only some items of an array have. Arrays are
+ * cut down to a few representative items, strings become placeholders of the same
+ * format, and containers nested deeper than a limit are emptied.
+ */
+
+// Placeholders for strings of a recognizable format, so fixtures still parse the same way
+const STRING_PLACEHOLDERS = [
+  { pattern: /^\d{4}-\d{2}-\d{2}$/, value: '2000-01-01' },
+  { pattern: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/, value: '2000-01-01T00:00:00Z' },
+  { pattern: /^\d{2}:\d{2}(:\d{2})?$/, value: '00:00:00' },
+  { pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, value: '00000000-0000-0000-0000-000000000000' },
+  { pattern: /^[^@\s]+@[^@\s]+\.[^@\s]+$/, value: 'user@example.com' },
+  { pattern: /^[a-z][a-z\d+.-]*:\/\/\S+$/i, value: 'https://example.com/' },
+  { pattern: /^\d{1,3}(\.\d{1,3}){3}$/, value: '192.0.2.1' },
+  { pattern: /^-?\d+(\.\d+)?$/, value: '0' }
+];
+
+/**
+ * Turn a parsed document into a fixture, in place
+ * @param {*} data - Parsed document
+ * @param {object} settings - { arrayItems, maxDepth (0 for no limit), placeholders }
+ * @param {object} guard - Field guard from field-rules.js; guarded fields are left as they are
+ * @returns {object} {
+ *   data,
+ *   arrays: [{ path, length, kept }],   // Shortened arrays: output path, original length, original indices kept
+ *   placeholders,                       // Number of strings replaced
+ *   capped: [path]                      // Containers emptied by the depth limit
+ * }
+ */
+export function createJSONFixture(data, settings, guard) {
+  const arrays = [];
+  const capped = [];
+  let placeholders = 0;
+
+  function visit(value, pointer, depth, key) {
+    if (typeof value === 'string') {
+      if (!settings.placeholders || value === '') return value;
+      const placeholder = getStringPlaceholder(value, key);
+      if (placeholder !== value) placeholders++;
+      return placeholder;
+    }
+    if (typeof value !== 'object' || value === null) {
+      return value;
+    }
+
+    if (settings.maxDepth > 0 && depth > settings.maxDepth) {
+      const empty = Array.isArray(value) ? [] : {};
+      if (Object.keys(value).length > 0) capped.push(pointer);
+      return empty;
+    }
+
+    if (Array.isArray(value)) {
+      // Arrays holding guarded items keep their indices
+      if (!guard.hasProtected(value)) {
+        const kept = pickRepresentatives(value, settings.arrayItems);
+        if (kept.length < value.length) {
+          arrays.push({ path: pointer, length: value.length, kept });
+          const items = kept.map(index => value[index]);
+          value.length = 0;
+          value.push(...items);
+        }
+      }
+      value.forEach((item, index) => {
+        if (!guard.isProtected(value, index)) {
+          value[index] = visit(item, `${pointer}/${index}`, depth + 1, key);
+        }
+      });
+      return value;
+    }
+
+    Object.keys(value).forEach(member => {
+      if (!guard.isProtected(value, member)) {
+        value[member] = visit(value[member], `${pointer}/${member.replace(/~/g, '~0').replace(/\//g, '~1')}`, depth + 1, member);
+      }
+    });
+    return value;
+  }
+
+  return { data: visit(data, '', 0, null), arrays, placeholders, capped };
+}
+
+/**
+ * Indices of the items to keep: every item that adds a key or a value type not seen
+ * in the items before it, then more items up to the requested count. Every key and
+ * type is kept even past the count.
+ */
+function pickRepresentatives(items, count) {
+  const covered = new Set();
+  const kept = new Set();
+
+  items.forEach((item, index) => {
+    let adds = false;
+    collectFeatures(item, '', feature => {
+      if (!covered.has(feature)) {
+        covered.add(feature);
+        adds = true;
+      }
+    });
+    if (adds) kept.add(index);
+  });
+  for (let index = 0; index < items.length && kept.size < count; index++) {
+    kept.add(index);
+  }
+
+  return [...kept].sort((a, b) => a - b);
+}
+
+/**
+ * Report "path:type" for every value in an item; array indices collapse to "*",
+ * so the length of an array never makes items differ
+ */
+function collectFeatures(value, path, report) {
+  if (Array.isArray(value)) {
+    report(`${path}:array`);
+    value.forEach(item => collectFeatures(item, `${path}/*`, report));
+  } else if (typeof value === 'object' && value !== null) {
+    report(`${path}:object`);
+    Object.keys(value).forEach(key => collectFeatures(value[key], `${path}/${JSON.stringify(key)}`, report));
+  } else {
+    report(`${path}:${value === null ? 'null' : typeof value}`);
+  }
+}
+
+/**
+ * Same-format placeholder for a string: a fixed example of a recognized format,
+ * otherwise the name of the field that holds it
+ */
+function getStringPlaceholder(value, key) {
+  const format = STRING_PLACEHOLDERS.find(({ pattern }) => pattern.test(value));
+  if (format) return format.value;
+  return typeof key === 'string' && key !== '' ? key : 'string';
+}
@@ -0,0 +1,541 @@
+/**
+ * Streaming JSON compression engine
+ * Compresses JSON chunk by chunk, so files larger than memory never have to be
+ * parsed (or cloned) whole. Values are transformed as they stream through and
+ * the output is written incrementally.
+ *
+ * Applies PII redaction, null and empty removal, string trimming, key shortening (with a first
+ * pass that counts key frequencies), number rounding and string truncation, with
+ * the same manifest operations as compressJSON. Array deduplication, columnar
+ * tables and nesting flattening need the whole document and are skipped.
+ */
+
+import { KEY_MAP_KEY, DATA_KEY } from '../utils/json-reader.js';
+import { buildShortKeyMap } from './json.js';
+import { getRedactionSettings, createRedactor, createRedactionOperation } from '../utils/redaction.js';
+import { createPrecisionSettings, createNumberRounder, createRoundingOperation, formatNumber } from '../utils/number-precision.js';
+
+// Tokenizer states: what the next token may be
+const EXPECT_VALUE = 0;
+const EXPECT_VALUE_OR_END = 1;     // After "["
+const EXPECT_KEY = 2;              // After "," in an object
+const EXPECT_KEY_OR_END = 3;       // After "{"
+const EXPECT_COLON = 4;
+const EXPECT_COMMA_OR_END = 5;
+const EXPECT_NOTHING = 6;          // After the root value
+
+const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const NUMBER_CHARS = /[-+0-9.eE]+/y;
+const LITERAL_CHARS = /[a-z]+/y;
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Compress JSON read as a stream of chunks
+ * @param {Function} openInput - Returns a fresh ReadableStream or async iterable of string or
+ *   Uint8Array chunks; called twice when keys are shortened
+ * @param {string} lossLevel - minimal, moderate or aggressive
+ * @param {object} customOptions - Options from compression-options.js
+ * @param {object} output - Optional sink { write(chunk) } (write may return a promise);
+ *   without one the output is collected into a Blob
+ * @param {Function} onStage - Optional (stage) => void: parse for the key scan, compress for the
+ *   pass that transforms and writes
+ * @returns {Promise<object>} { compressed (Blob, or null with a sink), operations, originalSize, compressedSize }
+ */
+export async function compressJSONStream(openInput, lossLevel = 'moderate', customOptions = {}, output = null, onStage = null) {
+  if (!['minimal', 'moderate', 'aggressive'].includes(lossLevel)) {
+    throw new Error('Invalid loss level');
+  }
+  if (customOptions.fieldRules) {
+    throw new Error('Field rules are not supported when streaming JSON');
+  }
+  if (customOptions.fixtureMode) {
+    throw new Error('Fixture mode is not supported when streaming JSON');
+  }
+
+  const moderate = lossLevel !== 'minimal';
+  const aggressive = lossLevel === 'aggressive';
+
+  // First pass: key frequencies for the short codes
+  let keyMap = null;
+  let rootHasKeyMapKey = false;
+  if (moderate && customOptions.shortenKeys !== false) {
+    onStage?.('parse');
+    const scan = await scanKeys(openInput);
+    keyMap = {};
+    Object.entries(buildShortKeyMap(scan.frequencies)).forEach(([key, shortKey]) => {
+      if (shortKey.length < key.length) keyMap[key] = shortKey;
+    });
+    // A root "$keys" member only clashes with the embedded map if it keeps its name
+    rootHasKeyMapKey = scan.rootKeys.has(KEY_MAP_KEY) && !(KEY_MAP_KEY in keyMap);
+  }
+
+  const settings = {
+    removeNulls: customOptions.removeNulls !== false,
+    keyMap,
+    embedKeyMap: Boolean(customOptions.selfDescribing) && keyMap !== null && Object.keys(keyMap).length > 0,
+    rootHasKeyMapKey,
+    redaction: getRedactionSettings(customOptions),
+    precision: moderate && customOptions.roundNumbers !== false ? createPrecisionSettings(lossLevel, customOptions) : null,
+    truncateAt: aggressive && customOptions.truncateStrings !== false ? 100 : null
+  };
+
+  const parts = [];
+  const sink = output || { write: chunk => parts.push(chunk) };
+
+  // Second pass: transform and write
+  onStage?.('compress');
+  const transform = createTransform(settings);
+  const tokenizer = createJSONTokenizer(transform.handler);
+  let originalSize = 0;
+  let compressedSize = 0;
+
+  for await (const text of readText(openInput())) {
+    originalSize += text.length;
+    tokenizer.write(text);
+    const chunk = transform.take();
+    if (chunk) {
+      compressedSize += chunk.length;
+      await sink.write(chunk);
+    }
+  }
+  tokenizer.end();
+  const tail = transform.finish();
+  if (tail) {
+    compressedSize += tail.length;
+    await sink.write(tail);
+  }
+
+  return {
+    compressed: output ? null : new Blob(parts, { type: 'application/json' }),
+    operations: transform.getOperations(),
+    originalSize,
+    compressedSize
+  };
+}
+
+/**
+ * Create an incremental JSON tokenizer that reports structure to a handler
+ * Chunks may split tokens anywhere; incomplete tokens are carried over to the next chunk.
+ * @param {object} handler - { startObject, endObject, startArray, endArray, key(name), value(value) }
+ * @returns {object} { write(text), end() }
+ */
+export function createJSONTokenizer(handler) {
+  const containers = [];
+  let state = EXPECT_VALUE;
+  let carry = '';
+  let stringResume = 0; // Offset into carry already searched for the closing quote
+
+  function fail() {
+    throw new Error('Invalid JSON format');
+  }
+
+  function afterValue() {
+    state = containers.length > 0 ? EXPECT_COMMA_OR_END : EXPECT_NOTHING;
+  }
+
+  function expectsValue() {
+    return state === EXPECT_VALUE || state === EXPECT_VALUE_OR_END;
+  }
+
+  function scalar(value) {
+    if (!expectsValue()) fail();
+    handler.value(value);
+    afterValue();
+  }
+
+  /**
+   * Consume tokens from text
+   * @returns {number} Index of the first character of an incomplete token, or text.length
+   */
+  function scan(text, final) {
+    let pos = 0;
+
+    while (pos < text.length) {
+      const char = text[pos];
+
+      if (char === ' ' || char === '\n' || char === '\r' || char === '\t') {
+        pos++;
+      } else if (char === '{') {
+        if (!expectsValue()) fail();
+        containers.push('{');
+        handler.startObject();
+        state = EXPECT_KEY_OR_END;
+        pos++;
+      } else if (char === '[') {
+        if (!expectsValue()) fail();
+        containers.push('[');
+        handler.startArray();
+        state = EXPECT_VALUE_OR_END;
+        pos++;
+      } else if (char === '}') {
+        if (containers[containers.length - 1] !== '{' || (state !== EXPECT_KEY_OR_END && state !== EXPECT_COMMA_OR_END)) fail();
+        containers.pop();
+        handler.endObject();
+        afterValue();
+        pos++;
+      } else if (char === ']') {
+        if (containers[containers.length - 1] !== '[' || (state !== EXPECT_VALUE_OR_END && state !== EXPECT_COMMA_OR_END)) fail();
+        containers.pop();
+        handler.endArray();
+        afterValue();
+        pos++;
+      } else if (char === ':') {
+        if (state !== EXPECT_COLON) fail();
+        state = EXPECT_VALUE;
+        pos++;
+      } else if (char === ',') {
+        if (state !== EXPECT_COMMA_OR_END) fail();
+        state = containers[containers.length - 1] === '{' ? EXPECT_KEY : EXPECT_VALUE;
+        pos++;
+      } else if (char === '"') {
+        const end = findStringEnd(text, pos, Math.max(pos + 1, pos + stringResume));
+        if (end === -1) {
+          if (final) fail();
+          stringResume = text.length - pos;
+          return pos;
+        }
+        stringResume = 0;
+
+        let value;
+        try {
+          value = JSON.parse(text.slice(pos, end + 1));
+        } catch (error) {
+          fail();
+        }
+
+        if (state === EXPECT_KEY || state === EXPECT_KEY_OR_END) {
+          handler.key(value);
+          state = EXPECT_COLON;
+        } else {
+          scalar(value);
+        }
+        pos = end + 1;
+      } else {
+        const isNumber = char === '-' || (char >= '0' && char <= '9');
+        const chars = isNumber ? NUMBER_CHARS : LITERAL_CHARS;
+        chars.lastIndex = pos;
+        const match = chars.exec(text);
+        if (!match) fail();
+
+        const next = pos + match[0].length;
+        // A token that runs to the end of the chunk may continue in the next one
+        if (next === text.length && !final) return pos;
+
+        if (isNumber) {
+          if (!NUMBER_PATTERN.test(match[0])) fail();
+          scalar(Number(match[0]));
+        } else if (Object.prototype.hasOwnProperty.call(LITERALS, match[0])) {
+          scalar(LITERALS[match[0]]);
+        } else {
+          fail();
+        }
+        pos = next;
+      }
+    }
+
+    return pos;
+  }
+
+  return {
+    write(text) {
+      const buffered = carry + text;
+      carry = buffered.slice(scan(buffered, false));
+    },
+    end() {
+      scan(carry, true);
+      carry = '';
+      if (state !== EXPECT_NOTHING) fail();
+    }
+  };
+}
+
+/**
+ * Index of the quote closing the string that opens at start, or -1 if it is not in text yet
+ */
+function findStringEnd(text, start, from) {
+  let index = text.indexOf('"', from);
+  while (index !== -1) {
+    let backslashes = 0;
+    while (text[index - 1 - backslashes] === '\\' && index - 1 - backslashes > start) {
+      backslashes++;
+    }
+    if (backslashes % 2 === 0) return index;
+    index = text.indexOf('"', index + 1);
+  }
+  return -1;
+}
+
+/**
+ * First pass: count key occurrences and note the root object's keys
+ */
+async function scanKeys(openInput) {
+  const frequencies = {};
+  const rootKeys = new Set();
+  let depth = 0;
+
+  const tokenizer = createJSONTokenizer({
+    startObject: () => depth++,
+    endObject: () => depth--,
+    startArray: () => depth++,
+    endArray: () => depth--,
+    key(name) {
+      frequencies[name] = (frequencies[name] || 0) + 1;
+      if (depth === 1) rootKeys.add(name);
+    },
+    value() {}
+  });
+
+  for await (const text of readText(openInput())) {
+    tokenizer.write(text);
+  }
+  tokenizer.end();
+
+  return { frequencies, rootKeys };
+}
+
+/**
+ * Second pass: a tokenizer handler that writes the compressed document
+ * Containers are only opened in the output once their first child is written,
+ * so object members that end up empty can be dropped without buffering them.
+ */
+function createTransform(settings) {
+  const stack = [];
+  let pieces = [];
+
+  const nullPaths = [];
+  const removedEmpty = [];
+  const appliedKeys = {};
+  let trimCount = 0;
+  const redactor = settings.redaction ? createRedactor(settings.redaction) : null;
+  const rounder = settings.precision ? createNumberRounder(settings.precision) : null;
+  let truncateCount = 0;
+  let wrapped = false;
+
+  function write(text) {
+    pieces.push(text);
+  }
+
+  function keyPrefix(parent) {
+    if (!parent || parent.type !== '{') return '';
+    const key = parent.key;
+    const shortKey = settings.keyMap && Object.prototype.hasOwnProperty.call(settings.keyMap, key)
+      ? settings.keyMap[key]
+      : null;
+    if (shortKey !== null) appliedKeys[key] = shortKey;
+    return `${JSON.stringify(shortKey ?? key)}:`;
+  }
+
+  // Write the separator and key that precede a child of parent
+  function beginChild(parent) {
+    if (!parent) return;
+    open(parent);
+    write(parent.written++ > 0 ? ',' : '');
+  }
+
+  function open(frame) {
+    if (frame.opened) return;
+    beginChild(frame.parent);
+    write(frame.prefix + frame.type);
+    frame.opened = true;
+  }
+
+  // Member name that holds a value; array items take the name of their array
+  function holderKey(frame) {
+    while (frame && frame.type === '[') frame = frame.parent;
+    return frame ? frame.key : null;
+  }
+
+  function pointerToPath(pointer) {
+    return pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  function childPointer(parent) {
+    if (!parent) return '';
+    const token = parent.type === '{' ? parent.key : String(parent.index++);
+    return `${parent.pointer}/${token.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+
+  // Redaction hits point into the input, where array items keep the index they had before any were dropped
+  function childSourcePointer(parent) {
+    if (!parent) return '';
+    const token = parent.type === '{' ? parent.key : String(parent.index - 1 + parent.dropped);
+    return `${parent.source}/${token.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+
+  // Keys are redacted like compressJSON does: masked in drop mode, numbered when two collide
+  function redactKey(frame, key) {
+    frame.names = frame.names || new Set();
+    const name = redactor.redactName(key);
+    let unique = name;
+    for (let n = 2; name !== key && frame.names.has(unique); n++) {
+      unique = `${name}#${n}`;
+    }
+    frame.names.add(unique);
+    if (name !== key) {
+      redactor.redactName(key, { path: `${frame.source}/${unique.replace(/~/g, '~0').replace(/\//g, '~1')}`, key: true });
+    }
+    return unique;
+  }
+
+  function startContainer(type) {
+    const parent = stack[stack.length - 1];
+    const frame = {
+      type,
+      parent,
+      pointer: childPointer(parent),
+      source: childSourcePointer(parent),
+      prefix: keyPrefix(parent),
+      member: parent?.type === '{',
+      opened: false,
+      written: 0,
+      index: 0,
+      dropped: 0,
+      key: null
+    };
+    stack.push(frame);
+
+    if (!parent) {
+      if (settings.embedKeyMap) {
+        const keys = {};
+        Object.entries(settings.keyMap).forEach(([longKey, shortKey]) => {
+          keys[shortKey] = longKey;
+        });
+        if (type === '{' && !settings.rootHasKeyMapKey) {
+          write(`{${JSON.stringify(KEY_MAP_KEY)}:${JSON.stringify(keys)}`);
+          frame.opened = true;
+          frame.written = 1;
+        } else {
+          write(`{${JSON.stringify(KEY_MAP_KEY)}:${JSON.stringify(keys)},${JSON.stringify(DATA_KEY)}:`);
+          wrapped = true;
+        }
+      }
+      open(frame);
+    }
+  }
+
+  function endContainer() {
+    const frame = stack.pop();
+    if (!frame.opened) {
+      if (frame.member) {
+        removedEmpty.push({ path: frame.pointer, value: frame.type === '{' ? {} : [] });
+        return;
+      }
+      open(frame);
+    }
+    write(frame.type === '{' ? '}' : ']');
+  }
+
+  const handler = {
+    startObject: () => startContainer('{'),
+    endObject: endContainer,
+    startArray: () => startContainer('['),
+    endArray: endContainer,
+    key(name) {
+      const frame = stack[stack.length - 1];
+      frame.key = redactor ? redactKey(frame, name) : name;
+    },
+    value(value) {
+      const parent = stack[stack.length - 1];
+      const pointer = childPointer(parent);
+
+      if (value === null && parent?.type === '{' && settings.removeNulls) {
+        nullPaths.push(pointer);
+        return;
+      }
+
+      if (typeof value === 'string' && redactor) {
+        const redacted = redactor.redact(value, { path: childSourcePointer(parent) });
+        if (redacted !== value && redacted.trim() === '') {
+          // Dropped: later items of an array move up, as in compressJSON
+          if (parent?.type === '[') {
+            parent.index--;
+            parent.dropped++;
+          }
+          return;
+        }
+        value = redacted;
+      }
+
+      if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed !== value) {
+          value = trimmed;
+          trimCount++;
+        }
+        if (settings.truncateAt !== null && value.length > settings.truncateAt) {
+          value = value.substring(0, settings.truncateAt) + '...';
+          truncateCount++;
+        }
+      } else if (typeof value === 'number' && rounder) {
+        const path = settings.precision.overrides.length > 0 ? pointerToPath(pointer) : null;
+        value = rounder.round(value, holderKey(parent), path);
+      }
+
+      beginChild(parent);
+      write(keyPrefix(parent) + (typeof value === 'number' ? formatNumber(value) : JSON.stringify(value)));
+    }
+  };
+
+  function take() {
+    const chunk = pieces.join('');
+    pieces = [];
+    return chunk;
+  }
+
+  function finish() {
+    if (wrapped) write('}');
+    return take();
+  }
+
+  function getOperations() {
+    const operations = [];
+    const push = (count, operation) => {
+      if (count > 0) operations.push({ type: operation.type, count, ...operation.details, reversible: operation.reversible, impact: operation.impact });
+    };
+
+    const redactOperation = redactor && createRedactionOperation(settings.redaction, redactor);
+    if (redactOperation) operations.push(redactOperation);
+    push(nullPaths.length, { type: 'remove_nulls', details: { paths: nullPaths }, reversible: true, impact: 'low' });
+    push(removedEmpty.length, { type: 'remove_empty', details: { removed: removedEmpty }, reversible: true, impact: 'low' });
+    push(trimCount, { type: 'trim_strings', reversible: false, impact: 'low' });
+    const roundOperation = rounder && createRoundingOperation(settings.precision, rounder.stats);
+    if (roundOperation) operations.push(roundOperation);
+    push(Object.keys(appliedKeys).length, { type: 'shorten_keys', details: { mapping: appliedKeys }, reversible: true, impact: 'medium' });
+    push(truncateCount, { type: 'truncate_strings', details: { maxLength: settings.truncateAt }, reversible: false, impact: 'high' });
+    if (settings.embedKeyMap) {
+      operations.push({ type: 'embed_key_map', key: KEY_MAP_KEY, count: Object.keys(settings.keyMap).length, reversible: true, impact: 'low' });
+    }
+    return operations;
+  }
+
+  return { handler, take, finish, getOperations };
+}
+
+/**
+ * Read a ReadableStream or async iterable as text chunks
+ */
+async function* readText(input) {
+  const decoder = new TextDecoder();
+  const iterable = typeof input?.getReader === 'function' && !(Symbol.asyncIterator in input)
+    ? readerToIterable(input.getReader())
+    : input;
+
+  for await (const chunk of iterable) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    if (text) yield text;
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+async function* readerToIterable(reader) {
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -2,13 +2,20 @@
  * JSON compression engine with lossy optimizations
  */
 
+import { KEY_MAP_KEY, DATA_KEY, COLUMNS_KEY, ROWS_KEY, VALUES_KEY, expandJSONColumns, expandJSONValues, isColumnTable } from '../utils/json-reader.js';
+import { normalizeFieldRules, applyFieldRules, applyFieldRulesToRecords, createFieldGuard } from '../utils/field-rules.js';
+import { createJSONFixture } from './json-fixture.js';
+import { getRedactionSettings, createRedactor, createRedactionOperation } from '../utils/redaction.js';
+import { createPrecisionSettings, createNumberRounder, createRoundingOperation, formatNumber, stringifyJSON } from '../utils/number-precision.js';
+
 /**
  * Compress JSON with specified loss level
  */
-export async function compressJSON(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressJSON(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
   let data;
   let originalContent;
 
+  onStage?.('parse');
   try {
     if (typeof content === 'string') {
       originalContent = content;
@@ -21,44 +28,156 @@ export async function compressJSON(content, lossLevel = 'moderate', customOption
     throw new Error('Invalid JSON format');
   }
 
+  onStage?.('compress');
   const operations = [];
   let compressed = JSON.parse(JSON.stringify(data)); // Deep clone
+  compressed = transformDocument(compressed, lossLevel, customOptions, operations, { records: false });
+
+  // Self-describing output: embed the key map so readers can expand keys without the manifest
+  if (customOptions.selfDescribing) {
+    const keyOperation = operations.find(op => op.type === 'shorten_keys');
+    if (keyOperation) {
+      compressed = embedKeyMap(compressed, keyOperation.mapping);
+      operations.push({
+        type: 'embed_key_map',
+        key: KEY_MAP_KEY,
+        count: keyOperation.count,
+        reversible: true,
+        impact: 'low'
+      });
+    }
+  }
+
+  onStage?.('serialize');
+  const result = stringifyJSON(compressed);
+
+  return {
+    compressed: result,
+    operations,
+    originalSize: originalContent.length,
+    compressedSize: result.length
+  };
+}
+
+/**
+ * Compress documents that share one key map, such as the lines of an NDJSON file
+ * Each record is otherwise its own document: field rule paths, deduplication, flattening
+ * and columnar tables never span records. Manifest paths start with the record's index.
+ * @param {Array} records - Parsed documents (left unchanged)
+ * @returns {object} { records, operations }
+ */
+export function compressJSONRecords(records, lossLevel = 'moderate', customOptions = {}) {
+  const operations = [];
+  const compressed = transformDocument(JSON.parse(JSON.stringify(records)), lossLevel, customOptions, operations, { records: true });
+  return { records: compressed, operations };
+}
+
+/**
+ * Run the field rules, the level's passes and the columnar transform on a parsed document
+ * @param {object} mode - { records: true } when the document is an array of independent records
+ */
+function transformDocument(compressed, lossLevel, customOptions, operations, { records }) {
+  // PII redaction runs before anything else, at every level
+  const redaction = getRedactionSettings(customOptions);
+  if (redaction) {
+    const redactor = createRedactor(redaction);
+    redactStrings(compressed, redactor);
+    const redactOperation = createRedactionOperation(redaction, redactor);
+    if (redactOperation) {
+      operations.push(redactOperation);
+    }
+  }
+
+  // Per-field rules run first; the fields they keep, round or truncate are
+  // guarded from the uniform passes of every level
+  const context = { guard: createFieldGuard(), records, lossLevel };
+  const fieldRules = normalizeFieldRules(customOptions.fieldRules);
+  if (fieldRules.length > 0) {
+    const touched = records
+      ? applyFieldRulesToRecords(compressed, fieldRules, context.guard)
+      : applyFieldRules(compressed, fieldRules, context.guard);
+    if (touched.length > 0) {
+      operations.push({
+        type: 'field_rules',
+        count: touched.length,
+        rules: fieldRules.map(({ tokens: _tokens, ...rule }) => rule),
+        touched,
+        reversible: touched.every(entry => entry.action === 'keep'),
+        impact: 'medium'
+      });
+    }
+  }
+
+  // Fixture mode keeps every key and type, so it replaces the level's passes
+  if (customOptions.fixtureMode && !records) {
+    return applyFixtureMode(compressed, operations, customOptions, context);
+  }
 
   switch (lossLevel) {
     case 'minimal':
-      compressed = applyMinimalCompression(compressed, operations, customOptions);
+      compressed = applyMinimalCompression(compressed, operations, customOptions, context);
       break;
     case 'moderate':
-      compressed = applyModerateCompression(compressed, operations, customOptions);
+      compressed = applyModerateCompression(compressed, operations, customOptions, context);
       break;
     case 'aggressive':
-      compressed = applyAggressiveCompression(compressed, operations, customOptions);
+      compressed = applyAggressiveCompression(compressed, operations, customOptions, context);
       break;
     default:
       throw new Error('Invalid loss level');
   }
 
-  const result = JSON.stringify(compressed);
+  // Columnar tables go last: later passes would dedupe or flatten the row arrays
+  if (lossLevel !== 'minimal' && customOptions.columnarArrays !== false) {
+    const keyFrequencies = collectKeyFrequencies(compressed);
+    // Documents that already use the reserved keys could not be told apart from tables
+    if (!(COLUMNS_KEY in keyFrequencies) && !(ROWS_KEY in keyFrequencies)) {
+      compressed = records ? compressed.map(columnarizeArrays) : columnarizeArrays(compressed);
+      const tablePaths = findColumnTables(compressed);
+      if (tablePaths.length > 0) {
+        operations.push({
+          type: 'columnar_arrays',
+          count: tablePaths.length,
+          paths: tablePaths,
+          reversible: true,
+          impact: 'medium'
+        });
+      }
+    }
+  }
 
-  return {
-    compressed: result,
-    operations,
-    originalSize: originalContent.length,
-    compressedSize: result.length
-  };
+  // Shared values go after the tables, so repeated column lists can be shared too
+  if (!records && lossLevel !== 'minimal' && customOptions.shareValues &&
+      !(typeof compressed === 'object' && compressed !== null && VALUES_KEY in compressed)) {
+    const shared = shareRepeatedValues(compressed);
+    if (shared) {
+      compressed = shared.data;
+      operations.push({
+        type: 'share_values',
+        count: shared.count,
+        references: shared.references,
+        escaped: shared.escaped,
+        reversible: true,
+        impact: 'medium'
+      });
+    }
+  }
+
+  return compressed;
 }
 
 /**
  * Minimal compression - safe, reversible optimizations
  */
-function applyMinimalCompression(data, operations, customOptions) {
-  // Remove null values
+function applyMinimalCompression(data, operations, customOptions, context) {
+  // Remove null values (paths are kept so the restore tool can put them back)
   if (customOptions.removeNulls !== false) {
-    const nullCount = removeNulls(data);
-    if (nullCount > 0) {
+    const nullPaths = removeNulls(data, context.guard);
+    if (nullPaths.length > 0) {
       operations.push({
         type: 'remove_nulls',
-        count: nullCount,
+        count: nullPaths.length,
+        paths: nullPaths,
         reversible: true,
         impact: 'low'
       });
@@ -66,18 +185,19 @@ function applyMinimalCompression(data, operations, customOptions) {
   }
 
   // Remove empty arrays and objects
-  const emptyCount = removeEmpty(data);
-  if (emptyCount > 0) {
+  const removedEmpty = removeEmpty(data, context.guard);
+  if (removedEmpty.length > 0) {
     operations.push({
       type: 'remove_empty',
-      count: emptyCount,
+      count: removedEmpty.length,
+      removed: removedEmpty,
       reversible: true,
       impact: 'low'
     });
   }
 
   // Trim whitespace in strings
-  const trimCount = trimStrings(data);
+  const trimCount = trimStrings(data, context.guard);
   if (trimCount > 0) {
     operations.push({
       type: 'trim_strings',
@@ -93,44 +213,51 @@ function applyMinimalCompression(data, operations, customOptions) {
 /**
  * Moderate compression - balance between size and data preservation
  */
-function applyModerateCompression(data, operations, customOptions) {
+function applyModerateCompression(data, operations, customOptions, context) {
   // First apply minimal compression
-  data = applyMinimalCompression(data, operations, customOptions);
+  data = applyMinimalCompression(data, operations, customOptions, context);
+
+  // Round numbers to the level's significant digits (before key shortening, so
+  // precision overrides and ID detection see the original keys)
+  if (customOptions.roundNumbers !== false) {
+    const settings = createPrecisionSettings(context.lossLevel, customOptions);
+    const rounder = createNumberRounder(settings);
+    if (context.records) {
+      data.forEach(record => roundNumbers(record, rounder, context.guard));
+    } else {
+      roundNumbers(data, rounder, context.guard);
+    }
+    const roundOperation = createRoundingOperation(settings, rounder.stats);
+    if (roundOperation) {
+      operations.push(roundOperation);
+    }
+  }
 
   // Shorten object keys (now enabled by default with advanced frequency-based compression)
   if (customOptions.shortenKeys !== false) {
-    const keyMap = shortenKeys(data);
+    const keyMap = shortenKeys(data, context.guard);
     if (keyMap && Object.keys(keyMap).length > 0) {
       operations.push({
         type: 'shorten_keys',
         count: Object.keys(keyMap).length,
+        mapping: keyMap,
         reversible: true,
         impact: 'medium'
       });
     }
   }
 
-  // Round numbers to fewer decimal places
-  const roundedCount = roundNumbers(data, 2);
-  if (roundedCount > 0) {
-    operations.push({
-      type: 'round_numbers',
-      decimals: 2,
-      count: roundedCount,
-      reversible: false,
-      impact: 'medium'
-    });
-  }
-
-  // Deduplicate repeated values in arrays
-  const dedupeCount = deduplicateArrays(data);
-  if (dedupeCount > 0) {
-    operations.push({
-      type: 'deduplicate_arrays',
-      count: dedupeCount,
-      reversible: false,
-      impact: 'medium'
-    });
+  // Deduplicate repeated values in arrays (shareValues keeps them, as references)
+  if (customOptions.deduplicateArrays !== false && !customOptions.shareValues) {
+    const dedupeCount = eachDocument(data, context, doc => deduplicateArrays(doc, context.guard));
+    if (dedupeCount > 0) {
+      operations.push({
+        type: 'deduplicate_arrays',
+        count: dedupeCount,
+        reversible: false,
+        impact: 'medium'
+      });
+    }
   }
 
   return data;
@@ -139,13 +266,13 @@ function applyModerateCompression(data, operations, customOptions) {
 /**
  * Aggressive compression - maximum size reduction
  */
-function applyAggressiveCompression(data, operations, customOptions) {
+function applyAggressiveCompression(data, operations, customOptions, context) {
   // First apply moderate compression
-  data = applyModerateCompression(data, operations, customOptions);
+  data = applyModerateCompression(data, operations, customOptions, context);
 
   // Truncate long strings
   if (customOptions.truncateStrings !== false) {
-    const truncated = truncateStrings(data, 100);
+    const truncated = truncateStrings(data, 100, context.guard);
     if (truncated > 0) {
       operations.push({
         type: 'truncate_strings',
@@ -159,7 +286,7 @@ function applyAggressiveCompression(data, operations, customOptions) {
 
   // Flatten nested structures
   if (customOptions.flattenNesting) {
-    const flattened = flattenNesting(data, 3);
+    const flattened = eachDocument(data, context, doc => flattenNesting(doc, 3, context.guard));
     if (flattened > 0) {
       operations.push({
         type: 'flatten_nesting',
@@ -171,77 +298,199 @@ function applyAggressiveCompression(data, operations, customOptions) {
     }
   }
 
-  // Round numbers to integers
-  const roundedToInt = roundNumbers(data, 0);
-  if (roundedToInt > 0) {
+  return data;
+}
+
+/**
+ * Fixture mode - shrink the data, keep the structure
+ */
+function applyFixtureMode(data, operations, customOptions, context) {
+  const fixture = createJSONFixture(data, {
+    arrayItems: customOptions.fixtureArrayItems ?? 3,
+    maxDepth: customOptions.fixtureMaxDepth ?? 0,
+    placeholders: customOptions.fixturePlaceholders !== false
+  }, context.guard);
+
+  if (fixture.arrays.length > 0) {
     operations.push({
-      type: 'round_to_integers',
-      count: roundedToInt,
+      type: 'shorten_arrays',
+      count: fixture.arrays.length,
+      arrays: fixture.arrays,
       reversible: false,
       impact: 'high'
     });
   }
 
-  return data;
+  if (fixture.placeholders > 0) {
+    operations.push({
+      type: 'placeholder_strings',
+      count: fixture.placeholders,
+      reversible: false,
+      impact: 'high'
+    });
+  }
+
+  if (fixture.capped.length > 0) {
+    operations.push({
+      type: 'cap_depth',
+      count: fixture.capped.length,
+      maxDepth: customOptions.fixtureMaxDepth,
+      paths: fixture.capped,
+      reversible: false,
+      impact: 'high'
+    });
+  }
+
+  return fixture.data;
+}
+
+/**
+ * Run a counting pass on the document, or on each record separately
+ * @returns {number} Total count
+ */
+function eachDocument(data, context, pass) {
+  return context.records ? data.reduce((sum, record) => sum + pass(record), 0) : pass(data);
+}
+
+/**
+ * Redact PII in string values and object keys; hits are reported by JSON Pointer,
+ * built from the redacted keys. Members and array items whose whole value was dropped
+ * are removed. Keys are masked in drop mode, and numbered ("a***@corp.com#2") when two
+ * redact to the same name.
+ */
+function redactStrings(obj, redactor, pointer = '') {
+  const isDropped = (before, after) => after !== before && after.trim() === '';
+
+  if (Array.isArray(obj)) {
+    const dropped = [];
+    obj.forEach((item, index) => {
+      // Hits point into the input, so every item keeps its index there
+      const path = `${pointer}/${index}`;
+      if (typeof item === 'string') {
+        obj[index] = redactor.redact(item, { path });
+        if (isDropped(item, obj[index])) dropped.push(index);
+      } else if (typeof item === 'object' && item !== null) {
+        redactStrings(item, redactor, path);
+      }
+    });
+    // Splice from the end so the earlier indices stay valid
+    dropped.reverse().forEach(index => obj.splice(index, 1));
+  } else if (typeof obj === 'object' && obj !== null) {
+    const keys = Object.keys(obj);
+    const names = redactKeys(keys, redactor, pointer);
+
+    // Members are put back in their order under their new names
+    const renamed = names.some((name, i) => name !== keys[i]);
+    const entries = keys.map((key, i) => [names[i], obj[key]]);
+    if (renamed) keys.forEach(key => delete obj[key]);
+
+    entries.forEach(([name, value]) => {
+      const path = `${pointer}/${escapePointerToken(name)}`;
+      if (typeof value === 'string') {
+        const redacted = redactor.redact(value, { path });
+        if (isDropped(value, redacted)) {
+          delete obj[name];
+          return;
+        }
+        value = redacted;
+      } else if (typeof value === 'object' && value !== null) {
+        redactStrings(value, redactor, path);
+      }
+      obj[name] = value;
+    });
+  }
+}
+
+/**
+ * Redacted names for an object's keys, unique within the object
+ */
+function redactKeys(keys, redactor, pointer) {
+  const taken = new Set(keys);
+  return keys.map(key => {
+    const name = redactor.redactName(key);
+    if (name === key) return key;
+
+    let unique = name;
+    for (let n = 2; taken.has(unique); n++) {
+      unique = `${name}#${n}`;
+    }
+    taken.add(unique);
+    redactor.redactName(key, { path: `${pointer}/${escapePointerToken(unique)}`, key: true });
+    return unique;
+  });
 }
 
 /**
  * Remove null values from objects
+ * @returns {Array<string>} JSON Pointers of the removed values
  */
-function removeNulls(obj, count = { value: 0 }) {
+function removeNulls(obj, guard, paths = [], pointer = '') {
   if (Array.isArray(obj)) {
-    obj.forEach(item => {
-      if (typeof item === 'object' && item !== null) {
-        removeNulls(item, count);
+    obj.forEach((item, index) => {
+      if (typeof item === 'object' && item !== null && !guard.isProtected(obj, index)) {
+        removeNulls(item, guard, paths, `${pointer}/${index}`);
       }
     });
   } else if (typeof obj === 'object' && obj !== null) {
     Object.keys(obj).forEach(key => {
+      if (guard.isProtected(obj, key)) {
+        return;
+      }
       if (obj[key] === null) {
         delete obj[key];
-        count.value++;
+        paths.push(`${pointer}/${escapePointerToken(key)}`);
       } else if (typeof obj[key] === 'object') {
-        removeNulls(obj[key], count);
+        removeNulls(obj[key], guard, paths, `${pointer}/${escapePointerToken(key)}`);
       }
     });
   }
-  return count.value;
+  return paths;
 }
 
 /**
  * Remove empty arrays and objects
+ * @returns {Array<Object>} Removed entries as { path, value }, in removal order
  */
-function removeEmpty(obj, count = { value: 0 }) {
+function removeEmpty(obj, guard, removed = [], pointer = '') {
   if (Array.isArray(obj)) {
-    obj.forEach(item => {
-      if (typeof item === 'object' && item !== null) {
-        removeEmpty(item, count);
+    obj.forEach((item, index) => {
+      if (typeof item === 'object' && item !== null && !guard.isProtected(obj, index)) {
+        removeEmpty(item, guard, removed, `${pointer}/${index}`);
       }
     });
   } else if (typeof obj === 'object' && obj !== null) {
     Object.keys(obj).forEach(key => {
+      const path = `${pointer}/${escapePointerToken(key)}`;
+
+      if (guard.isProtected(obj, key)) {
+        return;
+      }
+
       if (typeof obj[key] === 'object' && obj[key] !== null) {
-        removeEmpty(obj[key], count);
+        removeEmpty(obj[key], guard, removed, path);
       }
 
       if (Array.isArray(obj[key]) && obj[key].length === 0) {
         delete obj[key];
-        count.value++;
+        removed.push({ path, value: [] });
       } else if (typeof obj[key] === 'object' && obj[key] !== null && Object.keys(obj[key]).length === 0) {
         delete obj[key];
-        count.value++;
+        removed.push({ path, value: {} });
       }
     });
   }
-  return count.value;
+  return removed;
 }
 
 /**
  * Trim whitespace from strings
  */
-function trimStrings(obj, count = { value: 0 }) {
+function trimStrings(obj, guard, count = { value: 0 }) {
   if (Array.isArray(obj)) {
     for (let i = 0; i < obj.length; i++) {
+      if (guard.isProtected(obj, i)) {
+        continue;
+      }
       if (typeof obj[i] === 'string') {
         const trimmed = obj[i].trim();
         if (trimmed !== obj[i]) {
@@ -249,11 +498,14 @@ function trimStrings(obj, count = { value: 0 }) {
           count.value++;
         }
       } else if (typeof obj[i] === 'object' && obj[i] !== null) {
-        trimStrings(obj[i], count);
+        trimStrings(obj[i], guard, count);
       }
     }
   } else if (typeof obj === 'object' && obj !== null) {
     Object.keys(obj).forEach(key => {
+      if (guard.isProtected(obj, key)) {
+        return;
+      }
       if (typeof obj[key] === 'string') {
         const trimmed = obj[key].trim();
         if (trimmed !== obj[key]) {
@@ -261,7 +513,7 @@ function trimStrings(obj, count = { value: 0 }) {
           count.value++;
         }
       } else if (typeof obj[key] === 'object' && obj[key] !== null) {
-        trimStrings(obj[key], count);
+        trimStrings(obj[key], guard, count);
       }
     });
   }
@@ -271,33 +523,25 @@ function trimStrings(obj, count = { value: 0 }) {
 /**
  * Shorten object keys using frequency-based compression
  * Inspired by jsonschema-key-compression and compress-json
+ *
+ * Short codes never collide with a key that already exists in the document,
+ * so the returned mapping can always be inverted by the restore tool.
+ *
+ * @returns {Object} Mapping of original key → short key for every key that was replaced
  */
-function shortenKeys(obj, keyMap = null, isRoot = true) {
+function shortenKeys(obj, guard, keyMap = null, isRoot = true, applied = {}) {
   // First pass: collect key frequencies across entire object tree
   if (isRoot) {
     const keyFrequency = {};
     collectKeyFrequencies(obj, keyFrequency);
-
-    // Sort keys by frequency (most common first) and length (longer first for same frequency)
-    const sortedKeys = Object.entries(keyFrequency)
-      .sort((a, b) => {
-        if (b[1] !== a[1]) return b[1] - a[1]; // Sort by frequency descending
-        return b[0].length - a[0].length; // Then by length descending
-      })
-      .map(([key]) => key);
-
-    // Generate short keys using base62-like encoding (a-z, A-Z, 0-9, then |a, |b, etc.)
-    keyMap = {};
-    sortedKeys.forEach((key, index) => {
-      keyMap[key] = generateShortKey(index);
-    });
+    keyMap = buildShortKeyMap(keyFrequency);
   }
 
   // Second pass: apply key replacements
   if (Array.isArray(obj)) {
     obj.forEach(item => {
       if (typeof item === 'object' && item !== null) {
-        shortenKeys(item, keyMap, false);
+        shortenKeys(item, guard, keyMap, false, applied);
       }
     });
   } else if (typeof obj === 'object' && obj !== null) {
@@ -309,18 +553,66 @@ function shortenKeys(obj, keyMap = null, isRoot = true) {
       if (shortKey && shortKey.length < key.length) {
         obj[shortKey] = obj[key];
         delete obj[key];
+        guard.rename(obj, key, shortKey);
+        applied[key] = shortKey;
 
         // Recursively process nested objects
         if (typeof obj[shortKey] === 'object' && obj[shortKey] !== null) {
-          shortenKeys(obj[shortKey], keyMap, false);
+          shortenKeys(obj[shortKey], guard, keyMap, false, applied);
         }
       } else if (typeof obj[key] === 'object' && obj[key] !== null) {
         // Process nested objects even if key wasn't shortened
-        shortenKeys(obj[key], keyMap, false);
+        shortenKeys(obj[key], guard, keyMap, false, applied);
       }
     });
   }
 
+  return applied;
+}
+
+/**
+ * Embed a key map (original → short) under the reserved root key as short → original.
+ * Object roots get the map as an extra root key; other roots are wrapped in "$data".
+ * Short codes never start with "$", so the reserved keys cannot clash with them.
+ */
+function embedKeyMap(data, mapping) {
+  const keys = {};
+  Object.entries(mapping).forEach(([longKey, shortKey]) => {
+    keys[shortKey] = longKey;
+  });
+
+  if (typeof data === 'object' && data !== null && !Array.isArray(data) && !(KEY_MAP_KEY in data)) {
+    return { [KEY_MAP_KEY]: keys, ...data };
+  }
+
+  return { [KEY_MAP_KEY]: keys, [DATA_KEY]: data };
+}
+
+/**
+ * Assign short codes to keys, most frequent first (longer first for the same frequency)
+ * Codes use base62-like encoding (0-9, a-z, A-Z, then |a, |b, etc.) and skip any code
+ * that is already used as a key somewhere in the document.
+ * @param {Object} keyFrequency - Key → number of occurrences
+ * @returns {Object} Key → short code
+ */
+export function buildShortKeyMap(keyFrequency) {
+  const sortedKeys = Object.entries(keyFrequency)
+    .sort((a, b) => {
+      if (b[1] !== a[1]) return b[1] - a[1]; // Sort by frequency descending
+      return b[0].length - a[0].length; // Then by length descending
+    })
+    .map(([key]) => key);
+
+  const keyMap = {};
+  let codeIndex = 0;
+  sortedKeys.forEach(key => {
+    let shortKey = generateShortKey(codeIndex++);
+    while (Object.prototype.hasOwnProperty.call(keyFrequency, shortKey)) {
+      shortKey = generateShortKey(codeIndex++);
+    }
+    keyMap[key] = shortKey;
+  });
+
   return keyMap;
 }
 
@@ -372,54 +664,67 @@ function generateShortKey(index) {
 }
 
 /**
- * Round numbers to specified decimal places
+ * Round numbers with a rounder from number-precision.js
+ * Array items are judged by the key that holds the array ("ids": [...]).
  */
-function roundNumbers(obj, decimals = 2, count = { value: 0 }) {
+function roundNumbers(obj, rounder, guard, path = [], key = null) {
   if (Array.isArray(obj)) {
     for (let i = 0; i < obj.length; i++) {
-      if (typeof obj[i] === 'number' && !Number.isInteger(obj[i])) {
-        obj[i] = parseFloat(obj[i].toFixed(decimals));
-        count.value++;
+      if (guard.isProtected(obj, i)) {
+        continue;
+      }
+      if (typeof obj[i] === 'number') {
+        obj[i] = rounder.round(obj[i], key, [...path, i]);
       } else if (typeof obj[i] === 'object' && obj[i] !== null) {
-        roundNumbers(obj[i], decimals, count);
+        roundNumbers(obj[i], rounder, guard, [...path, i], key);
       }
     }
   } else if (typeof obj === 'object' && obj !== null) {
-    Object.keys(obj).forEach(key => {
-      if (typeof obj[key] === 'number' && !Number.isInteger(obj[key])) {
-        obj[key] = parseFloat(obj[key].toFixed(decimals));
-        count.value++;
-      } else if (typeof obj[key] === 'object' && obj[key] !== null) {
-        roundNumbers(obj[key], decimals, count);
+    Object.keys(obj).forEach(member => {
+      if (guard.isProtected(obj, member)) {
+        return;
+      }
+      if (typeof obj[member] === 'number') {
+        obj[member] = rounder.round(obj[member], member, [...path, member]);
+      } else if (typeof obj[member] === 'object' && obj[member] !== null) {
+        roundNumbers(obj[member], rounder, guard, [...path, member], member);
       }
     });
   }
-  return count.value;
 }
 
 /**
  * Deduplicate values in arrays
  */
-function deduplicateArrays(obj, count = { value: 0 }) {
+function deduplicateArrays(obj, guard, count = { value: 0 }) {
   if (Array.isArray(obj)) {
-    const originalLength = obj.length;
-    const unique = [...new Set(obj.map(item => JSON.stringify(item)))].map(item => JSON.parse(item));
+    // Arrays holding guarded items keep their indices; the rest keep the first of each value
+    if (!guard.hasProtected(obj)) {
+      const originalLength = obj.length;
+      const seen = new Set();
+      const unique = obj.filter(item => {
+        const serialized = JSON.stringify(item);
+        if (seen.has(serialized)) return false;
+        seen.add(serialized);
+        return true;
+      });
 
-    if (unique.length < originalLength) {
-      obj.length = 0;
-      obj.push(...unique);
-      count.value += originalLength - unique.length;
+      if (unique.length < originalLength) {
+        obj.length = 0;
+        obj.push(...unique);
+        count.value += originalLength - unique.length;
+      }
     }
 
-    obj.forEach(item => {
-      if (typeof item === 'object' && item !== null) {
-        deduplicateArrays(item, count);
+    obj.forEach((item, index) => {
+      if (typeof item === 'object' && item !== null && !guard.isProtected(obj, index)) {
+        deduplicateArrays(item, guard, count);
       }
     });
   } else if (typeof obj === 'object' && obj !== null) {
     Object.keys(obj).forEach(key => {
-      if (typeof obj[key] === 'object' && obj[key] !== null) {
-        deduplicateArrays(obj[key], count);
+      if (typeof obj[key] === 'object' && obj[key] !== null && !guard.isProtected(obj, key)) {
+        deduplicateArrays(obj[key], guard, count);
       }
     });
   }
@@ -429,23 +734,29 @@ function deduplicateArrays(obj, count = { value: 0 }) {
 /**
  * Truncate long strings
  */
-function truncateStrings(obj, maxLength = 100, count = { value: 0 }) {
+function truncateStrings(obj, maxLength, guard, count = { value: 0 }) {
   if (Array.isArray(obj)) {
     for (let i = 0; i < obj.length; i++) {
+      if (guard.isProtected(obj, i)) {
+        continue;
+      }
       if (typeof obj[i] === 'string' && obj[i].length > maxLength) {
         obj[i] = obj[i].substring(0, maxLength) + '...';
         count.value++;
       } else if (typeof obj[i] === 'object' && obj[i] !== null) {
-        truncateStrings(obj[i], maxLength, count);
+        truncateStrings(obj[i], maxLength, guard, count);
       }
     }
   } else if (typeof obj === 'object' && obj !== null) {
     Object.keys(obj).forEach(key => {
+      if (guard.isProtected(obj, key)) {
+        return;
+      }
       if (typeof obj[key] === 'string' && obj[key].length > maxLength) {
         obj[key] = obj[key].substring(0, maxLength) + '...';
         count.value++;
       } else if (typeof obj[key] === 'object' && obj[key] !== null) {
-        truncateStrings(obj[key], maxLength, count);
+        truncateStrings(obj[key], maxLength, guard, count);
       }
     });
   }
@@ -455,25 +766,25 @@ function truncateStrings(obj, maxLength = 100, count = { value: 0 }) {
 /**
  * Flatten nested structures beyond a certain depth
  */
-function flattenNesting(obj, maxDepth = 3, currentDepth = 0, count = { value: 0 }) {
+function flattenNesting(obj, maxDepth, guard, currentDepth = 0, count = { value: 0 }) {
   if (currentDepth >= maxDepth) {
     return count.value;
   }
 
   if (Array.isArray(obj)) {
-    obj.forEach(item => {
-      if (typeof item === 'object' && item !== null) {
-        flattenNesting(item, maxDepth, currentDepth + 1, count);
+    obj.forEach((item, index) => {
+      if (typeof item === 'object' && item !== null && !guard.isProtected(obj, index)) {
+        flattenNesting(item, maxDepth, guard, currentDepth + 1, count);
       }
     });
   } else if (typeof obj === 'object' && obj !== null) {
     Object.keys(obj).forEach(key => {
-      if (typeof obj[key] === 'object' && obj[key] !== null) {
+      if (typeof obj[key] === 'object' && obj[key] !== null && !guard.isProtected(obj, key)) {
         if (currentDepth >= maxDepth - 1) {
           obj[key] = '[Flattened]';
           count.value++;
         } else {
-          flattenNesting(obj[key], maxDepth, currentDepth + 1, count);
+          flattenNesting(obj[key], maxDepth, guard, currentDepth + 1, count);
         }
       }
     });
@@ -481,6 +792,301 @@ function flattenNesting(obj, maxDepth = 3, currentDepth = 0, count = { value: 0
   return count.value;
 }
 
+/**
+ * Replace arrays of objects that share the same keys, in the same order,
+ * with { $cols, $rows } tables, innermost arrays first
+ * @returns {*} The value with tables in place of those arrays
+ */
+function columnarizeArrays(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(columnarizeArrays);
+    const columns = getSharedColumns(items);
+    if (!columns || !isTableSmaller(items.length, columns)) {
+      return items;
+    }
+    return {
+      [COLUMNS_KEY]: columns,
+      [ROWS_KEY]: items.map(item => columns.map(column => item[column]))
+    };
+  }
+  if (typeof value === 'object' && value !== null) {
+    Object.keys(value).forEach(key => {
+      value[key] = columnarizeArrays(value[key]);
+    });
+  }
+  return value;
+}
+
+/**
+ * Keys shared, in order, by every item of an array of at least two objects
+ * @returns {Array<string>|null} The keys, or null when the items differ in shape
+ */
+function getSharedColumns(items) {
+  if (items.length < 2) return null;
+
+  const isRecord = item => typeof item === 'object' && item !== null && !Array.isArray(item);
+  if (!items.every(isRecord)) return null;
+
+  const columns = Object.keys(items[0]);
+  if (columns.length === 0) return null;
+
+  const signature = JSON.stringify(columns);
+  return items.every(item => JSON.stringify(Object.keys(item)) === signature) ? columns : null;
+}
+
+/**
+ * Whether dropping the keys from every record saves more than the table's own overhead
+ */
+function isTableSmaller(rowCount, columns) {
+  const keyBytes = columns.reduce((sum, column) => sum + JSON.stringify(column).length + 1, 0);
+  const overhead = JSON.stringify({ [COLUMNS_KEY]: columns, [ROWS_KEY]: null }).length - 'null'.length;
+  return rowCount * keyBytes > overhead;
+}
+
+/**
+ * Hoist repeated subtrees and long repeated strings into a shared table, in the spirit
+ * of compress-json. Each occurrence becomes "$" plus the entry's base-36 index (most used
+ * entries get the shortest references); strings that start with "$" get a second "$".
+ * Entries can refer to other entries. See expandJSONValues in json-reader.js.
+ * @returns {object|null} { data: { $values, $data }, count, references, escaped }, or null
+ *   when nothing repeats enough to make the document smaller
+ */
+function shareRepeatedValues(data) {
+  // First pass: serialize every subtree bottom-up and count identical serializations
+  const counts = new Map();
+  const serialized = new Map();
+  const serialize = value => {
+    let text;
+    if (Array.isArray(value)) {
+      text = `[${value.map(serialize).join(',')}]`;
+    } else if (typeof value === 'object' && value !== null) {
+      text = `{${Object.keys(value).map(key => `${JSON.stringify(key)}:${serialize(value[key])}`).join(',')}}`;
+    } else {
+      text = typeof value === 'number' ? formatNumber(value) : JSON.stringify(value);
+    }
+    const shareable = typeof value === 'string' ||
+      (typeof value === 'object' && value !== null && Object.keys(value).length > 0);
+    if (shareable) {
+      counts.set(text, (counts.get(text) || 0) + 1);
+      if (typeof value === 'object') serialized.set(value, text);
+    }
+    return text;
+  };
+  const originalSize = serialize(data).length;
+
+  // Worth an entry when the copies it saves outweigh the references (about 4 bytes each)
+  const isWorthSharing = text => {
+    const occurrences = counts.get(text) || 0;
+    return occurrences > 1 && (occurrences - 1) * text.length > occurrences * 4 + 1;
+  };
+
+  // Second pass: replace repeated values with placeholders, outermost first
+  const entries = [];
+  const entryIndex = new Map();
+  const placeholders = new Set();
+  const replace = value => {
+    const text = typeof value === 'string' ? JSON.stringify(value) : serialized.get(value);
+    if (text !== undefined && isWorthSharing(text)) {
+      let index = entryIndex.get(text);
+      if (index === undefined) {
+        index = entries.length;
+        entryIndex.set(text, index);
+        entries.push({ value: null, uses: 0, code: null });
+        entries[index].value = rewrite(value);
+      }
+      entries[index].uses++;
+      const placeholder = { entry: entries[index] };
+      placeholders.add(placeholder);
+      return placeholder;
+    }
+    return rewrite(value);
+  };
+  const rewrite = value => {
+    if (Array.isArray(value)) {
+      return value.map(replace);
+    }
+    if (typeof value === 'object' && value !== null) {
+      const rewritten = {};
+      Object.keys(value).forEach(key => {
+        rewritten[key] = replace(value[key]);
+      });
+      return rewritten;
+    }
+    return value;
+  };
+  const root = rewrite(data);
+
+  // Entries only used once (values nested in a shared value) go back inline;
+  // the rest get codes, most used first
+  const shared = entries.filter(entry => entry.uses > 1).sort((a, b) => b.uses - a.uses);
+  if (shared.length === 0) return null;
+  shared.forEach((entry, index) => {
+    entry.code = `$${index.toString(36)}`;
+  });
+
+  let escaped = 0;
+  const materialize = value => {
+    if (placeholders.has(value)) {
+      return value.entry.code ?? materialize(value.entry.value);
+    }
+    if (typeof value === 'string') {
+      if (!value.startsWith('$')) return value;
+      escaped++;
+      return `$${value}`;
+    }
+    if (Array.isArray(value)) {
+      return value.map(materialize);
+    }
+    if (typeof value === 'object' && value !== null) {
+      const materialized = {};
+      Object.keys(value).forEach(key => {
+        materialized[key] = materialize(value[key]);
+      });
+      return materialized;
+    }
+    return value;
+  };
+
+  const result = {
+    [VALUES_KEY]: shared.map(entry => materialize(entry.value)),
+    [DATA_KEY]: materialize(root)
+  };
+  if (stringifyJSON(result).length >= originalSize) return null;
+
+  return {
+    data: result,
+    count: shared.length,
+    references: shared.reduce((sum, entry) => sum + entry.uses, 0),
+    escaped
+  };
+}
+
+/**
+ * JSON Pointers of the tables in a document, innermost first
+ */
+function findColumnTables(value, pointer = '', paths = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => findColumnTables(item, `${pointer}/${index}`, paths));
+  } else if (typeof value === 'object' && value !== null) {
+    Object.keys(value).forEach(key => {
+      findColumnTables(value[key], `${pointer}/${escapePointerToken(key)}`, paths);
+    });
+    if (isColumnTable(value)) {
+      paths.push(pointer);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Escape a key for use as a JSON Pointer token (RFC 6901)
+ */
+function escapePointerToken(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Set a value at a JSON Pointer, provided the parent container still exists
+ * @returns {boolean} Whether the value was written
+ */
+function setAtPointer(root, pointer, value) {
+  const tokens = pointer.split('/').slice(1)
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const last = tokens.pop();
+  let parent = root;
+
+  for (const token of tokens) {
+    if (typeof parent !== 'object' || parent === null || !(token in parent)) {
+      return false;
+    }
+    parent = parent[token];
+  }
+
+  if (typeof parent !== 'object' || parent === null) {
+    return false;
+  }
+
+  parent[last] = value;
+  return true;
+}
+
+/**
+ * Rename object keys throughout the tree, preserving key order
+ */
+function renameKeys(obj, renames) {
+  if (Array.isArray(obj)) {
+    return obj.map(item => renameKeys(item, renames));
+  }
+  if (typeof obj === 'object' && obj !== null) {
+    const renamed = {};
+    Object.keys(obj).forEach(key => {
+      const newKey = Object.prototype.hasOwnProperty.call(renames, key) ? renames[key] : key;
+      renamed[newKey] = renameKeys(obj[key], renames);
+    });
+    return renamed;
+  }
+  return obj;
+}
+
+/**
+ * Inverse transforms for reversible JSON operations, used by the restore tool.
+ * Each handler receives the parsed document and the manifest operation.
+ */
+export const jsonRestoreHandlers = {
+  parse: content => JSON.parse(content),
+  serialize: data => JSON.stringify(data),
+  operations: {
+    remove_nulls(data, operation) {
+      if (!Array.isArray(operation.paths)) {
+        throw new Error('Manifest does not record the removed null paths');
+      }
+      operation.paths.forEach(path => setAtPointer(data, path, null));
+      return data;
+    },
+
+    remove_empty(data, operation) {
+      if (!Array.isArray(operation.removed)) {
+        throw new Error('Manifest does not record the removed empty values');
+      }
+      // Nested empties were removed innermost first, so put them back outermost first
+      [...operation.removed].reverse().forEach(({ path, value }) => {
+        setAtPointer(data, path, Array.isArray(value) ? [] : {});
+      });
+      return data;
+    },
+
+    shorten_keys(data, operation) {
+      if (!operation.mapping) {
+        throw new Error('Manifest does not record the key mapping');
+      }
+      const renames = {};
+      Object.entries(operation.mapping).forEach(([longKey, shortKey]) => {
+        renames[shortKey] = longKey;
+      });
+      return renameKeys(data, renames);
+    },
+
+    columnar_arrays(data) {
+      return expandJSONColumns(data);
+    },
+
+    share_values(data) {
+      return expandJSONValues(data);
+    },
+
+    embed_key_map(data) {
+      if (typeof data !== 'object' || data === null || !(KEY_MAP_KEY in data)) {
+        return data;
+      }
+      if (DATA_KEY in data && !(VALUES_KEY in data)) {
+        return data[DATA_KEY];
+      }
+      const { [KEY_MAP_KEY]: _keys, ...rest } = data;
+      return rest;
+    }
+  }
+};
+
 /**
  * Get custom options for JSON compression
  */
@@ -498,6 +1104,12 @@ export function getJSONOptions() {
       description: 'Shorten object keys to reduce size',
       reversible: true
     },
+    selfDescribing: {
+      default: false,
+      impact: 'low',
+      description: 'Embed the key map in a reserved "$keys" root key so readers can expand keys',
+      reversible: true
+    },
     truncateStrings: {
       default: false,
       impact: 'high',
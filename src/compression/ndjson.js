@@ -0,0 +1,213 @@
+/**
+ * NDJSON (JSON Lines) compression engine
+ * Each line is its own JSON document. The JSON engine's transforms run on every
+ * line with one key map shared by the whole file; lines can be dropped by
+ * predicate and sampled like CSV rows.
+ */
+
+import { compressJSONRecords, jsonRestoreHandlers } from './json.js';
+import { KEY_MAP_KEY } from '../utils/json-reader.js';
+import { parseFieldPath, matchFieldPath } from '../utils/field-rules.js';
+import { stringifyJSON } from '../utils/number-precision.js';
+
+/**
+ * Compress NDJSON with specified loss level
+ */
+export async function compressNDJSON(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
+  if (!['minimal', 'moderate', 'aggressive'].includes(lossLevel)) {
+    throw new Error('Invalid loss level');
+  }
+
+  const operations = [];
+  const hasBOM = content.charCodeAt(0) === 0xFEFF;
+  const lines = (hasBOM ? content.slice(1) : content).split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop(); // Final newline
+  }
+
+  if (hasBOM) {
+    operations.push({
+      type: 'remove_bom',
+      count: 1,
+      reversible: true,
+      impact: 'low'
+    });
+  }
+
+  // Parse every non-blank line, keeping its line number for the manifest
+  onStage?.('parse');
+  let records = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      records.push({ line: index + 1, value: JSON.parse(line) });
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}`);
+    }
+  });
+
+  onStage?.('compress');
+  const blankCount = lines.length - records.length;
+  if (blankCount > 0) {
+    operations.push({
+      type: 'remove_blank_lines',
+      count: blankCount,
+      reversible: true,
+      impact: 'low'
+    });
+  }
+
+  // Drop lines that match any predicate
+  if (customOptions.dropLines) {
+    const predicates = normalizeLinePredicates(customOptions.dropLines);
+    const dropped = [];
+    records = records.filter(record => {
+      const drop = predicates.some(predicate => predicate(record.value));
+      if (drop) dropped.push(record.line);
+      return !drop;
+    });
+
+    if (dropped.length > 0) {
+      operations.push({
+        type: 'drop_lines',
+        count: dropped.length,
+        lines: dropped,
+        predicates: typeof customOptions.dropLines === 'function' ? 'function' : customOptions.dropLines,
+        reversible: false,
+        impact: 'high'
+      });
+    }
+  }
+
+  // Sample lines (keep every nth line)
+  if (lossLevel === 'aggressive' && customOptions.sampleRows && records.length > 10) {
+    const originalCount = records.length;
+    const sampleRate = customOptions.sampleRate || 5; // Keep every 5th line
+
+    records = records.filter((_, index) => index % sampleRate === 0);
+
+    if (records.length < originalCount) {
+      operations.push({
+        type: 'sample_rows',
+        sampleRate: sampleRate,
+        original: originalCount,
+        sampled: records.length,
+        reversible: false,
+        impact: 'high'
+      });
+    }
+  }
+
+  // JSON transforms per line, with one key map for the whole file
+  const transformed = compressJSONRecords(records.map(record => record.value), lossLevel, customOptions);
+  operations.push(...transformed.operations);
+
+  onStage?.('serialize');
+  const output = transformed.records.map(value => stringifyJSON(value));
+
+  // Self-describing output: the key map goes on its own first line
+  if (customOptions.selfDescribing) {
+    const keyOperation = transformed.operations.find(op => op.type === 'shorten_keys');
+    if (keyOperation) {
+      const keys = {};
+      Object.entries(keyOperation.mapping).forEach(([longKey, shortKey]) => {
+        keys[shortKey] = longKey;
+      });
+      output.unshift(JSON.stringify({ [KEY_MAP_KEY]: keys }));
+      operations.push({
+        type: 'embed_key_map',
+        key: KEY_MAP_KEY,
+        count: keyOperation.count,
+        reversible: true,
+        impact: 'low'
+      });
+    }
+  }
+
+  const result = output.length > 0 ? output.join('\n') + '\n' : '';
+
+  return {
+    compressed: result,
+    operations,
+    originalSize: content.length,
+    compressedSize: result.length
+  };
+}
+
+/**
+ * Turn the dropLines option into predicate functions
+ * Accepts a function (library use) or a list of conditions, each
+ * { path, equals } | { path, in: [...] } | { path, matches: 'regex' } | { path, exists: boolean },
+ * where path is a JSON Pointer or JSONPath as in field rules. A condition with only a path
+ * matches lines where the path exists.
+ */
+function normalizeLinePredicates(dropLines) {
+  if (typeof dropLines === 'function') {
+    return [dropLines];
+  }
+  if (!Array.isArray(dropLines)) {
+    throw new Error('dropLines must be a list of conditions');
+  }
+
+  return dropLines.map(condition => {
+    if (typeof condition?.path !== 'string') {
+      throw new Error('Each dropLines condition needs a path');
+    }
+
+    const tokens = parseFieldPath(condition.path);
+    let test;
+    if ('equals' in condition) {
+      const expected = JSON.stringify(condition.equals);
+      test = value => JSON.stringify(value) === expected;
+    } else if ('in' in condition) {
+      const expected = new Set((condition.in || []).map(value => JSON.stringify(value)));
+      test = value => expected.has(JSON.stringify(value));
+    } else if ('matches' in condition) {
+      const pattern = new RegExp(condition.matches);
+      test = value => typeof value === 'string' && pattern.test(value);
+    } else {
+      const exists = condition.exists !== false;
+      return record => (findValues(record, tokens).length > 0) === exists;
+    }
+
+    return record => findValues(record, tokens).some(test);
+  });
+}
+
+/**
+ * Values in a document whose path matches parsed path tokens
+ */
+function findValues(doc, tokens) {
+  const found = [];
+
+  const visit = (value, path) => {
+    if (path.length > 0 && matchFieldPath(tokens, path)) {
+      found.push(value);
+    }
+    if (typeof value === 'object' && value !== null) {
+      Object.keys(value).forEach(key => visit(value[key], [...path, Array.isArray(value) ? Number(key) : key]));
+    }
+  };
+
+  visit(doc, []);
+  return found;
+}
+
+/**
+ * Inverse transforms for reversible NDJSON operations, used by the restore tool.
+ * The lines are restored as an array, so the JSON handlers apply unchanged.
+ */
+export const ndjsonRestoreHandlers = {
+  parse: content => content.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line)),
+  serialize: lines => lines.map(value => JSON.stringify(value)).join('\n') + (lines.length > 0 ? '\n' : ''),
+  operations: {
+    ...jsonRestoreHandlers.operations,
+
+    embed_key_map(lines) {
+      const first = lines[0];
+      const isKeyLine = typeof first === 'object' && first !== null && !Array.isArray(first) &&
+        Object.keys(first).length === 1 && KEY_MAP_KEY in first;
+      return isKeyLine ? lines.slice(1) : lines;
+    }
+  }
+};
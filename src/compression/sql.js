@@ -5,7 +5,8 @@
 /**
  * Compress SQL with specified loss level
  */
-export async function compressSQL(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressSQL(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
+  onStage?.('compress');
   const operations = [];
   const originalSize = content.length;
   let compressed = content;
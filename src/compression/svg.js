@@ -5,7 +5,8 @@
 /**
  * Compress SVG with specified loss level
  */
-export async function compressSVG(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressSVG(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
+  onStage?.('compress');
   const operations = [];
   const originalSize = content.length;
   let compressed = content;
@@ -2,14 +2,28 @@
  * Text/Markdown compression engine with lossy optimizations
  */
 
+import { getRedactionSettings, createRedactor, createRedactionOperation } from '../utils/redaction.js';
+
 /**
  * Compress text/markdown with specified loss level
  */
-export async function compressText(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressText(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
+  onStage?.('compress');
   const operations = [];
   const originalSize = content.length;
   let compressed = content;
 
+  // Redact PII before anything else, at every level (hits by line and column)
+  const redaction = getRedactionSettings(customOptions);
+  if (redaction) {
+    const redactor = createRedactor(redaction);
+    compressed = compressed.split('\n').map((line, index) => redactor.redact(line, { line: index + 1 })).join('\n');
+    const redactOperation = createRedactionOperation(redaction, redactor);
+    if (redactOperation) {
+      operations.push(redactOperation);
+    }
+  }
+
   switch (lossLevel) {
     case 'minimal':
       compressed = applyMinimalTextCompression(compressed, operations, customOptions);
@@ -152,7 +166,7 @@ function applyModerateTextCompression(text, operations, customOptions) {
       operations.push({
         type: 'markdown_clean_code_blocks',
         count: 1,
-        reversible: true,
+        reversible: false,
         impact: 'low'
       });
     }
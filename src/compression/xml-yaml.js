@@ -2,10 +2,13 @@
  * XML/YAML compression engine with lossy optimizations
  */
 
+import { getRedactionSettings, createRedactor, createRedactionOperation } from '../utils/redaction.js';
+
 /**
  * Compress XML with specified loss level
  */
-export async function compressXML(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressXML(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
+  onStage?.('compress');
   const operations = [];
   const originalSize = content.length;
   let compressed = content;
@@ -35,11 +38,23 @@ export async function compressXML(content, lossLevel = 'moderate', customOptions
 /**
  * Compress YAML with specified loss level
  */
-export async function compressYAML(content, lossLevel = 'moderate', customOptions = {}) {
+export async function compressYAML(content, lossLevel = 'moderate', customOptions = {}, onStage = null) {
+  onStage?.('compress');
   const operations = [];
   const originalSize = content.length;
   let compressed = content;
 
+  // Redact PII before anything else, at every level
+  const redaction = getRedactionSettings(customOptions);
+  if (redaction) {
+    const redactor = createRedactor(redaction);
+    compressed = redactYAML(compressed, redactor);
+    const redactOperation = createRedactionOperation(redaction, redactor);
+    if (redactOperation) {
+      operations.push(redactOperation);
+    }
+  }
+
   switch (lossLevel) {
     case 'minimal':
       compressed = applyMinimalYAMLCompression(compressed, operations, customOptions);
@@ -62,6 +77,32 @@ export async function compressYAML(content, lossLevel = 'moderate', customOption
   };
 }
 
+/**
+ * Redact PII line by line; hits are reported by line, column and the path of keys
+ * above the line (from indentation, e.g. "users.contact.email"), itself redacted
+ */
+function redactYAML(yaml, redactor) {
+  const keys = [];
+
+  return yaml.split('\n').map((line, index) => {
+    const entry = /^(\s*(?:- +)*)("[^"]*"|'[^']*'|[^\s#'"-][^:#]*?)\s*:(?:\s|$)/.exec(line);
+    const indent = entry ? entry[1].length : line.search(/[^\s-]/);
+    if (indent >= 0) {
+      while (keys.length > 0 && keys[keys.length - 1].indent >= indent) keys.pop();
+    }
+    if (entry) {
+      keys.push({ indent, key: entry[2].replace(/^["']|["']$/g, '') });
+    }
+
+    const path = keys.map(({ key }) => redactor.redactName(key)).join('.');
+    const redacted = redactor.redact(line, { line: index + 1, path });
+    if (redacted === line) return line;
+    // A plain scalar starting with "*" would read as an alias, so masked values are quoted
+    return redacted.replace(/^(\s*(?:- +)*(?:[^\s#'"][^:#]*?:\s+)?)(\*[^#]*?)(\s*(?:#.*)?)$/, (_, prefix, value, trailing) =>
+      `${prefix}"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"${trailing}`);
+  }).join('\n');
+}
+
 /**
  * Minimal XML compression
  */
@@ -113,26 +154,28 @@ function applyModerateXMLCompression(xml, operations, customOptions) {
   let compressed = applyMinimalXMLCompression(xml, operations, customOptions);
 
   // Remove XML declaration if not needed
-  const beforeDecl = compressed.length;
+  const declarations = compressed.match(/<\?xml[^?]*\?>/g) || [];
   compressed = compressed.replace(/<\?xml[^?]*\?>/g, '');
 
-  if (compressed.length < beforeDecl) {
+  if (declarations.length > 0) {
     operations.push({
       type: 'remove_xml_declaration',
       count: 1,
+      removed: declarations.join(''),
       reversible: true,
       impact: 'low'
     });
   }
 
   // Remove DOCTYPE declarations
-  const beforeDoctype = compressed.length;
+  const doctypes = compressed.match(/<!DOCTYPE[^>]*>/gi) || [];
   compressed = compressed.replace(/<!DOCTYPE[^>]*>/gi, '');
 
-  if (compressed.length < beforeDoctype) {
+  if (doctypes.length > 0) {
     operations.push({
       type: 'remove_doctype',
       count: 1,
+      removed: doctypes.join(''),
       reversible: true,
       impact: 'low'
     });
@@ -147,7 +190,7 @@ function applyModerateXMLCompression(xml, operations, customOptions) {
       operations.push({
         type: 'remove_cdata',
         count: 1,
-        reversible: true,
+        reversible: false,
         impact: 'low'
       });
     }
@@ -168,7 +211,7 @@ function applyModerateXMLCompression(xml, operations, customOptions) {
       operations.push({
         type: 'remove_empty_elements',
         count: 1,
-        reversible: true,
+        reversible: false,
         impact: 'low'
       });
     }
@@ -231,7 +274,7 @@ function applyModerateXMLCompression(xml, operations, customOptions) {
       operations.push({
         type: 'remove_optional_attributes',
         count: 1,
-        reversible: true,
+        reversible: false,
         impact: 'medium'
       });
     }
@@ -509,6 +552,87 @@ function applyAggressiveYAMLCompression(yaml, operations, customOptions) {
   return compressed;
 }
 
+/**
+ * Apply a replacement to the attribute section of every start tag
+ */
+function mapStartTagAttributes(xml, replacer) {
+  return xml.replace(/<([a-zA-Z][\w:.-]*)([^<>]*?)(\/?)>/g, (match, tag, attrs, selfClosing) => {
+    return `<${tag}${replacer(attrs)}${selfClosing}>`;
+  });
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Inverse transforms for reversible XML operations, used by the restore tool
+ */
+export const xmlRestoreHandlers = {
+  parse: content => content,
+  serialize: content => content,
+  operations: {
+    remove_xml_declaration(xml, operation) {
+      return (operation.removed || '<?xml version="1.0" encoding="UTF-8"?>') + xml;
+    },
+
+    remove_doctype(xml, operation) {
+      if (!operation.removed) {
+        throw new Error('Manifest does not record the removed DOCTYPE');
+      }
+      return operation.removed + xml;
+    },
+
+    collapse_boolean_attributes(xml) {
+      // XML attributes always carry a value, so any bare name was collapsed
+      return mapStartTagAttributes(xml, attrs => attrs.replace(
+        /(\s+)([^\s="'\/>]+)(="[^"]*"|='[^']*'|=[^\s"'>\/]+)?/g,
+        (match, space, name, value) => (value ? match : `${space}${name}="${name}"`)
+      ));
+    },
+
+    remove_attribute_quotes(xml) {
+      return mapStartTagAttributes(xml, attrs => attrs.replace(/=([a-zA-Z0-9_-]+)(?=[\s\/]|$)/g, '="$1"'));
+    },
+
+    shorten_tag_names(xml, operation) {
+      if (!operation.mapping) {
+        throw new Error('Manifest does not record the tag mapping');
+      }
+      let restored = xml;
+      Object.entries(operation.mapping).forEach(([longTag, shortTag]) => {
+        const regex = new RegExp(`<(\\/?)${escapeRegExp(shortTag)}([\\s>\\/])`, 'g');
+        restored = restored.replace(regex, `<$1${longTag}$2`);
+      });
+      return restored;
+    }
+  }
+};
+
+/**
+ * Inverse transforms for reversible YAML operations, used by the restore tool
+ */
+export const yamlRestoreHandlers = {
+  parse: content => content,
+  serialize: content => content,
+  operations: {
+    shorten_keys(yaml, operation) {
+      if (!operation.mapping) {
+        throw new Error('Manifest does not record the key mapping');
+      }
+      let restored = yaml;
+      Object.entries(operation.mapping).forEach(([longKey, shortKey]) => {
+        const regex = new RegExp(`^(\\s*)${escapeRegExp(shortKey)}:`, 'gm');
+        restored = restored.replace(regex, `$1${longKey}:`);
+      });
+      return restored;
+    }
+  }
+};
+
 /**
  * Get custom options for XML compression
  */
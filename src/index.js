@@ -0,0 +1,88 @@
+/**
+ * L0ss Library API
+ * Programmatic entry point for the compression engines, shared by the CLI and
+ * usable from any ESM project:
+ *
+ *   import { compress } from 'l0ss-client';
+ *   const { compressed, manifest } = await compress(text, { type: 'JSON', level: 'aggressive' });
+ */
+
+import { runCompression, registerEngine, getSupportedTypes } from './compression/engines.js';
+import { detectFileType, detectFileTypeFromContent, detectFileTypeWithConfidence } from './utils/file-type-detector.js';
+import { createManifest, getByteSize } from './utils/manifest.js';
+
+export const LEVELS = ['minimal', 'moderate', 'aggressive'];
+
+/**
+ * Compress a document
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input - Content (a File's name is used for type detection)
+ * @param {object} settings - { type, filename, level = 'moderate', options = {} }
+ *   type: one of getSupportedTypes(); detected from filename and content when omitted
+ * @returns {Promise<object>} {
+ *   compressed: string,       // Uint8Array for binary output (CSV with outputFormat 'arrow')
+ *   extension: string,        // Only when the output is in another format: its file extension
+ *   type: string,
+ *   level: string,
+ *   operations: Array<object>,
+ *   originalSize: number,     // UTF-8 bytes
+ *   compressedSize: number,   // UTF-8 bytes
+ *   reductionPercent: number,
+ *   manifest: object          // Same manifest the web app downloads; restore() accepts it
+ * }
+ */
+export async function compress(input, { type, filename, level = 'moderate', options = {} } = {}) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Invalid loss level: ${level}`);
+  }
+
+  const name = filename || input?.name || '';
+  const content = await readInput(input);
+  const fileType = type || detectFileTypeWithConfidence(name, content).type;
+
+  const result = await runCompression(fileType, content, level, options);
+  const originalSize = getByteSize(content);
+  const manifest = createManifest({
+    fileName: name || `input.${fileType.toLowerCase()}`,
+    fileType,
+    level,
+    originalSize,
+    result,
+    customOptions: options
+  });
+
+  return {
+    compressed: result.compressed,
+    ...(result.extension ? { extension: result.extension } : {}),
+    type: fileType,
+    level,
+    operations: manifest.operations,
+    originalSize,
+    compressedSize: manifest.compressed_size,
+    reductionPercent: parseFloat(manifest.reduction_percent),
+    manifest
+  };
+}
+
+async function readInput(input) {
+  if (typeof input === 'string') {
+    return input;
+  }
+  if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+    return new TextDecoder().decode(input);
+  }
+  if (typeof Blob !== 'undefined' && input instanceof Blob) {
+    return input.text();
+  }
+  throw new Error('Input must be a string, Uint8Array, ArrayBuffer or Blob');
+}
+
+export { registerEngine, getSupportedTypes, detectFileType, detectFileTypeFromContent, detectFileTypeWithConfidence };
+export { restore, describeReversibility } from './utils/restore.js';
+export { expandJSONKeys, expandJSONColumns, expandJSONValues, expandJSONLines } from './utils/json-reader.js';
+export { parseCSV, serializeCSV } from './utils/csv-parser.js';
+export { profileCSV } from './utils/csv-profile.js';
+export { decodeCSV } from './compression/csv.js';
+export { getOptionsForFileType, getDefaultOptions } from './utils/compression-options.js';
+export { registerPlugin, loadPlugin, getRegisteredPlugins } from './utils/plugins.js';
+export { analyzeFile, findTargetConfiguration } from './utils/preview.js';
+export { canStream, runStreamingCompression, STREAMING_THRESHOLD } from './compression/engines.js';
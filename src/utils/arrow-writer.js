@@ -0,0 +1,430 @@
+/**
+ * Arrow IPC Stream Writer
+ * Writes a table as an Apache Arrow IPC stream (the format of `.arrows` files), with
+ * no dependencies, so it runs in the browser as well as in Node. The file loads with
+ * pyarrow (`pyarrow.ipc.open_stream(path).read_pandas()`), DuckDB and other Arrow readers.
+ *
+ * The stream is one schema message, one dictionary batch per dictionary-encoded column
+ * and a single record batch. Message metadata is FlatBuffers, built back to front by a
+ * small builder below; column buffers are little-endian and padded to 8 bytes.
+ *
+ * Column types:
+ *   int        - Int8/16/32/64, the narrowest that holds every value
+ *   float      - Float64
+ *   bool       - Bool (bit-packed)
+ *   date       - Date32 (days since 1970-01-01)
+ *   utf8       - Utf8
+ *   dictionary - Utf8 values stored once, Int8/16/32 codes per row
+ */
+
+export const ARROW_COLUMN_TYPES = ['int', 'float', 'bool', 'date', 'utf8', 'dictionary'];
+
+// Stream messages start with this marker, followed by the metadata length
+const CONTINUATION = 0xFFFFFFFF;
+const METADATA_V5 = 4;
+
+// MessageHeader union
+const HEADER_SCHEMA = 1;
+const HEADER_DICTIONARY_BATCH = 2;
+const HEADER_RECORD_BATCH = 3;
+
+// Type union
+const TYPE_INT = 2;
+const TYPE_FLOATING_POINT = 3;
+const TYPE_UTF8 = 5;
+const TYPE_BOOL = 6;
+const TYPE_DATE = 8;
+
+const PRECISION_DOUBLE = 2;
+const DATE_UNIT_DAY = 0;
+
+const INT_RANGES = [
+  { bitWidth: 8, min: -128, max: 127 },
+  { bitWidth: 16, min: -32768, max: 32767 },
+  { bitWidth: 32, min: -2147483648, max: 2147483647 }
+];
+
+/**
+ * Write columns as an Arrow IPC stream
+ * @param {Array<object>} columns - [{ name, type, values }] where type is one of
+ *   ARROW_COLUMN_TYPES and values holds one entry per row, null for a missing value:
+ *   numbers (or BigInt) for int, numbers for float, booleans for bool, 'YYYY-MM-DD'
+ *   strings for date, strings for utf8 and dictionary
+ * @returns {Uint8Array} The stream
+ */
+export function writeArrowStream(columns) {
+  const rowCount = columns.length > 0 ? columns[0].values.length : 0;
+  columns.forEach(column => {
+    if (!ARROW_COLUMN_TYPES.includes(column.type)) {
+      throw new Error(`Unknown Arrow column type "${column.type}" (expected ${ARROW_COLUMN_TYPES.join(', ')})`);
+    }
+    if (column.values.length !== rowCount) {
+      throw new Error(`Column "${column.name}" has ${column.values.length} values, expected ${rowCount}`);
+    }
+  });
+
+  const encoded = columns.map(encodeColumn);
+  const parts = [encodeMessage(HEADER_SCHEMA, builder => buildSchema(builder, encoded), null)];
+
+  encoded.forEach((column, id) => {
+    if (!column.dictionary) return;
+    const { nodes, buffers } = column.dictionary;
+    parts.push(encodeMessage(HEADER_DICTIONARY_BATCH, (builder, layout) => {
+      const data = buildRecordBatch(builder, column.dictionary.length, nodes, layout);
+      builder.startObject(3);
+      builder.addFieldInt64(0, id);
+      builder.addFieldOffset(1, data);
+      return builder.endObject();
+    }, buffers));
+  });
+
+  parts.push(encodeMessage(HEADER_RECORD_BATCH, (builder, layout) => (
+    buildRecordBatch(builder, rowCount, encoded.flatMap(column => column.nodes), layout)
+  ), encoded.flatMap(column => column.buffers)));
+
+  // End of stream
+  parts.push(new Uint8Array(new Uint32Array([CONTINUATION, 0]).buffer));
+
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+}
+
+/**
+ * Turn a column's values into its Arrow field nodes and buffers
+ */
+function encodeColumn({ name, type, values }) {
+  const nullCount = values.filter(value => value === null).length;
+  const validity = nullCount > 0 ? packBits(values.map(value => value !== null)) : new Uint8Array(0);
+  const nodes = [{ length: values.length, nullCount }];
+
+  switch (type) {
+    case 'int': {
+      const numbers = values.map(value => value === null ? 0 : value);
+      const range = INT_RANGES.find(({ min, max }) => numbers.every(n => n >= min && n <= max));
+      let data;
+      if (range?.bitWidth === 8) data = Int8Array.from(numbers);
+      else if (range?.bitWidth === 16) data = Int16Array.from(numbers);
+      else if (range?.bitWidth === 32) data = Int32Array.from(numbers);
+      else data = BigInt64Array.from(numbers, n => BigInt(n));
+      return { name, type, bitWidth: range?.bitWidth || 64, nodes, buffers: [validity, bytesOf(data)] };
+    }
+    case 'float':
+      return { name, type, nodes, buffers: [validity, bytesOf(Float64Array.from(values, value => value ?? 0))] };
+    case 'bool':
+      return { name, type, nodes, buffers: [validity, packBits(values.map(value => value === true))] };
+    case 'date':
+      return { name, type, nodes, buffers: [validity, bytesOf(Int32Array.from(values, value => value === null ? 0 : toEpochDays(value)))] };
+    case 'dictionary': {
+      const distinct = [...new Set(values.filter(value => value !== null))].sort();
+      const codes = new Map(distinct.map((value, code) => [value, code]));
+      const { bitWidth } = INT_RANGES.find(({ max }) => distinct.length - 1 <= max);
+      const IndexArray = { 8: Int8Array, 16: Int16Array, 32: Int32Array }[bitWidth];
+      return {
+        name,
+        type,
+        indexBitWidth: bitWidth,
+        nodes,
+        buffers: [validity, bytesOf(IndexArray.from(values, value => value === null ? 0 : codes.get(value)))],
+        dictionary: {
+          length: distinct.length,
+          nodes: [{ length: distinct.length, nullCount: 0 }],
+          buffers: [new Uint8Array(0), ...encodeStrings(distinct)]
+        }
+      };
+    }
+    default:
+      return { name, type, nodes, buffers: [validity, ...encodeStrings(values)] };
+  }
+}
+
+/**
+ * Utf8 offsets and data buffers
+ */
+function encodeStrings(values) {
+  const encoder = new TextEncoder();
+  const encoded = values.map(value => encoder.encode(value ?? ''));
+  const offsets = new Int32Array(values.length + 1);
+  const data = new Uint8Array(encoded.reduce((sum, bytes) => sum + bytes.length, 0));
+  let position = 0;
+  encoded.forEach((bytes, i) => {
+    data.set(bytes, position);
+    position += bytes.length;
+    offsets[i + 1] = position;
+  });
+  return [bytesOf(offsets), data];
+}
+
+function buildSchema(builder, columns) {
+  const fields = columns.map((column, id) => {
+    const name = builder.createString(column.name);
+    const type = buildType(builder, column);
+
+    let dictionary = 0;
+    if (column.dictionary) {
+      const indexType = buildInt(builder, column.indexBitWidth);
+      builder.startObject(4);
+      builder.addFieldInt64(0, id);
+      builder.addFieldOffset(1, indexType);
+      builder.addFieldInt8(2, 0); // Not ordered
+      dictionary = builder.endObject();
+    }
+
+    const children = builder.createOffsetVector([]);
+    builder.startObject(7);
+    builder.addFieldOffset(0, name);
+    builder.addFieldInt8(1, 1); // Nullable
+    builder.addFieldInt8(2, getTypeId(column.type)); // Dictionaries hold Utf8 values
+    builder.addFieldOffset(3, type);
+    if (dictionary) builder.addFieldOffset(4, dictionary);
+    builder.addFieldOffset(5, children);
+    return builder.endObject();
+  });
+
+  const fieldVector = builder.createOffsetVector(fields);
+  builder.startObject(4);
+  builder.addFieldInt16(0, 0); // Little-endian
+  builder.addFieldOffset(1, fieldVector);
+  return builder.endObject();
+}
+
+function getTypeId(type) {
+  return { int: TYPE_INT, float: TYPE_FLOATING_POINT, bool: TYPE_BOOL, date: TYPE_DATE }[type] || TYPE_UTF8;
+}
+
+function buildType(builder, column) {
+  switch (column.type) {
+    case 'int':
+      return buildInt(builder, column.bitWidth);
+    case 'float':
+      builder.startObject(1);
+      builder.addFieldInt16(0, PRECISION_DOUBLE);
+      return builder.endObject();
+    case 'date':
+      builder.startObject(1);
+      builder.addFieldInt16(0, DATE_UNIT_DAY);
+      return builder.endObject();
+    default:
+      // Utf8 and Bool tables have no fields
+      builder.startObject(0);
+      return builder.endObject();
+  }
+}
+
+function buildInt(builder, bitWidth) {
+  builder.startObject(2);
+  builder.addFieldInt32(0, bitWidth);
+  builder.addFieldInt8(1, 1); // Signed
+  return builder.endObject();
+}
+
+/**
+ * RecordBatch table (also the data of a dictionary batch)
+ * @param {Array<object>} layout - { offset, length } of each body buffer
+ */
+function buildRecordBatch(builder, length, nodes, layout) {
+  // Vectors of structs are written last element first; struct fields last field first
+  builder.startVector(16, layout.length, 8);
+  [...layout].reverse().forEach(buffer => {
+    builder.prep(8, 16);
+    builder.writeInt64(buffer.length);
+    builder.writeInt64(buffer.offset);
+  });
+  const buffers = builder.endVector(layout.length);
+
+  builder.startVector(16, nodes.length, 8);
+  [...nodes].reverse().forEach(node => {
+    builder.prep(8, 16);
+    builder.writeInt64(node.nullCount);
+    builder.writeInt64(node.length);
+  });
+  const fieldNodes = builder.endVector(nodes.length);
+
+  builder.startObject(3);
+  builder.addFieldInt64(0, length);
+  builder.addFieldOffset(1, fieldNodes);
+  builder.addFieldOffset(2, buffers);
+  return builder.endObject();
+}
+
+/**
+ * Frame one message: continuation marker, metadata length, metadata, body
+ * @param {Function} buildHeader - (builder, layout) → header table offset
+ * @param {Array<Uint8Array>|null} bodyBuffers - Buffers of the message body, if any
+ */
+function encodeMessage(headerType, buildHeader, bodyBuffers) {
+  const layout = [];
+  let bodyLength = 0;
+  (bodyBuffers || []).forEach(buffer => {
+    layout.push({ offset: bodyLength, length: buffer.length });
+    bodyLength += padTo8(buffer.length);
+  });
+
+  const builder = createBuilder();
+  const header = buildHeader(builder, layout);
+  builder.startObject(5);
+  builder.addFieldInt64(3, bodyLength);
+  builder.addFieldOffset(2, header);
+  builder.addFieldInt16(0, METADATA_V5);
+  builder.addFieldInt8(1, headerType);
+  const metadata = builder.finish(builder.endObject());
+
+  const metadataLength = padTo8(8 + metadata.length) - 8;
+  const message = new Uint8Array(8 + metadataLength + bodyLength);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, CONTINUATION, true);
+  view.setInt32(4, metadataLength, true);
+  message.set(metadata, 8);
+
+  let position = 8 + metadataLength;
+  (bodyBuffers || []).forEach(buffer => {
+    message.set(buffer, position);
+    position += padTo8(buffer.length);
+  });
+  return message;
+}
+
+/**
+ * Minimal FlatBuffers builder: the buffer is filled from its end, so offsets are
+ * measured from the end until finish(). Covers what Arrow's message schema needs
+ * (tables, scalars, strings, vectors of offsets and of structs).
+ */
+function createBuilder() {
+  let buffer = new Uint8Array(256);
+  let view = new DataView(buffer.buffer);
+  let space = buffer.length;
+  let minAlign = 1;
+  let vtable = null;
+  let objectEnd = 0;
+
+  const offset = () => buffer.length - space;
+
+  function grow() {
+    const larger = new Uint8Array(buffer.length * 2);
+    larger.set(buffer, buffer.length);
+    space += buffer.length;
+    buffer = larger;
+    view = new DataView(buffer.buffer);
+  }
+
+  // Align so that `size` bytes written after `additional` more bytes land on a multiple of `size`
+  function prep(size, additional = 0) {
+    if (size > minAlign) minAlign = size;
+    const alignSize = (~(buffer.length - space + additional) + 1) & (size - 1);
+    while (space < alignSize + size + additional) grow();
+    for (let i = 0; i < alignSize; i++) buffer[--space] = 0;
+  }
+
+  const writeInt8 = value => { view.setInt8(space -= 1, value); };
+  const writeInt16 = value => { view.setInt16(space -= 2, value, true); };
+  const writeInt32 = value => { view.setInt32(space -= 4, value, true); };
+  const writeInt64 = value => { view.setBigInt64(space -= 8, BigInt(value), true); };
+
+  function addOffset(target) {
+    prep(4);
+    writeInt32(offset() - target + 4);
+  }
+
+  function startVector(elementSize, count, alignment) {
+    prep(4, elementSize * count);
+    prep(alignment, elementSize * count);
+  }
+
+  function endVector(count) {
+    writeInt32(count);
+    return offset();
+  }
+
+  function field(size, write) {
+    return (index, value) => {
+      prep(size);
+      write(value);
+      vtable[index] = offset();
+    };
+  }
+
+  return {
+    prep,
+    writeInt64,
+    startVector,
+    endVector,
+
+    startObject(fieldCount) {
+      vtable = new Array(fieldCount).fill(0);
+      objectEnd = offset();
+    },
+    addFieldInt8: field(1, writeInt8),
+    addFieldInt16: field(2, writeInt16),
+    addFieldInt32: field(4, writeInt32),
+    addFieldInt64: field(8, writeInt64),
+    addFieldOffset(index, target) {
+      addOffset(target);
+      vtable[index] = offset();
+    },
+    endObject() {
+      prep(4);
+      writeInt32(0); // Replaced by the offset to the vtable below
+      const objectOffset = offset();
+
+      let used = vtable.length;
+      while (used > 0 && vtable[used - 1] === 0) used--;
+      for (let i = used - 1; i >= 0; i--) {
+        prep(2);
+        writeInt16(vtable[i] ? objectOffset - vtable[i] : 0);
+      }
+      prep(2);
+      writeInt16(objectOffset - objectEnd);
+      writeInt16((used + 2) * 2);
+
+      view.setInt32(buffer.length - objectOffset, offset() - objectOffset, true);
+      vtable = null;
+      return objectOffset;
+    },
+
+    createString(text) {
+      const bytes = new TextEncoder().encode(text);
+      prep(1);
+      writeInt8(0);
+      startVector(1, bytes.length, 1);
+      space -= bytes.length;
+      buffer.set(bytes, space);
+      return endVector(bytes.length);
+    },
+    createOffsetVector(targets) {
+      startVector(4, targets.length, 4);
+      [...targets].reverse().forEach(addOffset);
+      return endVector(targets.length);
+    },
+
+    finish(root) {
+      prep(minAlign, 4);
+      addOffset(root);
+      return buffer.slice(space);
+    }
+  };
+}
+
+function packBits(flags) {
+  const bytes = new Uint8Array(Math.ceil(flags.length / 8));
+  flags.forEach((flag, i) => {
+    if (flag) bytes[i >> 3] |= 1 << (i & 7);
+  });
+  return bytes;
+}
+
+function bytesOf(typedArray) {
+  return new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+}
+
+function padTo8(length) {
+  return Math.ceil(length / 8) * 8;
+}
+
+function toEpochDays(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+}
@@ -1,8 +1,42 @@
 /**
  * Compression options configuration for all file types
  * Defines available options, defaults, and metadata for each compression engine
+ *
+ * On/off options marked `searchable: false` are left at their setting by the target search:
+ * they switch modes or the output format, only work together with other settings, or
+ * protect data (turning them off would only make the output smaller by damaging it).
  */
 
+// PII redaction (see redaction.js), shared by the engines that handle free-form values
+const redactionOptions = {
+  redactPII: {
+    default: false,
+    impact: 'high',
+    description: 'Find e-mail addresses, phone numbers, IPs, card numbers and API keys and redact them',
+    reversible: false,
+    searchable: false
+  },
+  redactMode: {
+    default: 'mask',
+    choices: ['mask', 'hash', 'fake', 'drop'],
+    impact: 'high',
+    description: 'How to redact: mask characters, hash (same value → same token), fake stand-ins, or drop',
+    reversible: false
+  },
+  redactTypes: {
+    default: ['email', 'phone', 'ip', 'creditCard', 'apiKey'],
+    impact: 'high',
+    description: 'Kinds of PII to look for',
+    reversible: false
+  },
+  redactSalt: {
+    default: '',
+    impact: 'low',
+    description: 'Secret mixed into hashes, so hashed values cannot be guessed back',
+    reversible: false
+  }
+};
+
 export const compressionOptions = {
   JSON: {
     removeNulls: {
@@ -29,18 +63,56 @@ export const compressionOptions = {
       description: 'Shorten object keys using frequency-based compression',
       reversible: true
     },
+    selfDescribing: {
+      default: false,
+      impact: 'low',
+      description: 'Embed the key map in a reserved "$keys" root key (expand with expandJSONKeys)',
+      reversible: true,
+      searchable: false
+    },
     roundNumbers: {
       default: true,
       impact: 'medium',
-      description: 'Round numbers to 2 decimal places',
+      description: 'Round numbers to a number of significant digits',
+      reversible: false
+    },
+    significantDigits: {
+      default: 6,
+      impact: 'medium',
+      description: 'Significant digits to keep when rounding (aggressive keeps at most 3)',
       reversible: false
     },
+    significantDigitsByPath: {
+      default: null,
+      impact: 'medium',
+      description: 'Significant digits per path, overriding the level, e.g. {"$..lat": 8, "/prices/*": 4}',
+      reversible: false
+    },
+    protectIds: {
+      default: true,
+      impact: 'low',
+      description: 'Never round integers that look like IDs, codes or timestamps (by key name, or 10+ digits)',
+      reversible: false,
+      searchable: false
+    },
     deduplicateArrays: {
       default: true,
       impact: 'medium',
       description: 'Remove duplicate values from arrays',
       reversible: false
     },
+    columnarArrays: {
+      default: true,
+      impact: 'medium',
+      description: 'Store arrays of same-shaped objects as "$cols"/"$rows" tables instead of repeating every key',
+      reversible: true
+    },
+    shareValues: {
+      default: false,
+      impact: 'medium',
+      description: 'Store repeated subtrees and long strings once in a "$values" table and reference them (replaces array deduplication; expand with expandJSONValues)',
+      reversible: true
+    },
     truncateStrings: {
       default: false,
       impact: 'high',
@@ -52,10 +124,148 @@ export const compressionOptions = {
       impact: 'high',
       description: 'Maximum string length when truncating',
       reversible: false
-    }
+    },
+    fieldRules: {
+      default: null,
+      impact: 'high',
+      description: 'Per-field rules (keep, round, truncate, drop) by JSONPath or JSON Pointer, or a JSON Schema with "x-l0ss" annotations',
+      reversible: false
+    },
+    fixtureMode: {
+      default: false,
+      impact: 'high',
+      description: 'Test fixture: keep every key and type, shorten arrays to representative items and replace strings with placeholders (instead of the level\'s passes)',
+      reversible: false,
+      searchable: false
+    },
+    fixtureArrayItems: {
+      default: 3,
+      impact: 'high',
+      description: 'Items to keep per array in fixture mode (one of each shape is always kept)',
+      reversible: false
+    },
+    fixtureMaxDepth: {
+      default: 0,
+      impact: 'high',
+      description: 'Empty objects and arrays nested deeper than this in fixture mode (0 for no limit)',
+      reversible: false
+    },
+    fixturePlaceholders: {
+      default: true,
+      impact: 'high',
+      description: 'Replace strings with same-format placeholders in fixture mode',
+      reversible: false,
+      searchable: false
+    },
+    ...redactionOptions
+  },
+
+  NDJSON: {
+    removeNulls: {
+      default: true,
+      impact: 'low',
+      description: 'Remove null values from objects',
+      reversible: true
+    },
+    roundNumbers: {
+      default: true,
+      impact: 'medium',
+      description: 'Round numbers to a number of significant digits',
+      reversible: false
+    },
+    significantDigits: {
+      default: 6,
+      impact: 'medium',
+      description: 'Significant digits to keep when rounding (aggressive keeps at most 3)',
+      reversible: false
+    },
+    significantDigitsByPath: {
+      default: null,
+      impact: 'medium',
+      description: 'Significant digits per path, overriding the level, e.g. {"$..lat": 8, "/prices/*": 4}',
+      reversible: false
+    },
+    protectIds: {
+      default: true,
+      impact: 'low',
+      description: 'Never round integers that look like IDs, codes or timestamps (by key name, or 10+ digits)',
+      reversible: false,
+      searchable: false
+    },
+    shortenKeys: {
+      default: true,
+      impact: 'high',
+      description: 'Shorten object keys with one key map shared by every line',
+      reversible: true
+    },
+    selfDescribing: {
+      default: false,
+      impact: 'low',
+      description: 'Write the key map as a "$keys" first line (expand with expandJSONLines)',
+      reversible: true,
+      searchable: false
+    },
+    columnarArrays: {
+      default: true,
+      impact: 'medium',
+      description: 'Store arrays of same-shaped objects as "$cols"/"$rows" tables instead of repeating every key',
+      reversible: true
+    },
+    truncateStrings: {
+      default: false,
+      impact: 'high',
+      description: 'Truncate long strings to 100 characters (aggressive)',
+      reversible: false
+    },
+    fieldRules: {
+      default: null,
+      impact: 'high',
+      description: 'Per-field rules (keep, round, truncate, drop) applied to every line, by JSONPath or JSON Pointer, or a JSON Schema with "x-l0ss" annotations',
+      reversible: false
+    },
+    dropLines: {
+      default: null,
+      impact: 'high',
+      description: 'Drop lines matching any condition, e.g. [{"path": "$.level", "equals": "debug"}] (also "in", "matches", "exists")',
+      reversible: false
+    },
+    sampleRows: {
+      default: false,
+      impact: 'high',
+      description: 'Sample lines (keep every nth line) (aggressive)',
+      reversible: false
+    },
+    sampleRate: {
+      default: 5,
+      impact: 'high',
+      description: 'Keep every nth line',
+      reversible: false
+    },
+    ...redactionOptions
   },
 
   CSV: {
+    delimiter: {
+      default: 'auto',
+      choices: ['auto', 'comma', 'tab', 'semicolon', 'pipe'],
+      impact: 'low',
+      description: 'Field delimiter (auto-detected by default)',
+      reversible: true
+    },
+    dictionaryStorage: {
+      default: 'manifest',
+      choices: ['manifest', 'embedded'],
+      impact: 'low',
+      description: 'Where dictionaries and numeric encoding plans go: the manifest only, or also a #l0ss trailer line so the file decodes on its own',
+      reversible: true
+    },
+    outputFormat: {
+      default: 'csv',
+      choices: ['csv', 'arrow'],
+      impact: 'low',
+      description: 'Write CSV text, or a typed columnar Arrow IPC stream (.arrows) for DuckDB, pandas and other analytics tools',
+      reversible: false
+    },
     removeEmptyRows: {
       default: true,
       impact: 'low',
@@ -107,7 +317,13 @@ export const compressionOptions = {
     deltaEncoding: {
       default: true,
       impact: 'medium',
-      description: 'Apply delta encoding to numeric columns (stores differences)',
+      description: 'Encode numeric columns with their smallest exact encoding (frame of reference, delta, delta-of-delta or run length)',
+      reversible: true
+    },
+    packIntegers: {
+      default: false,
+      impact: 'low',
+      description: 'Write numerically encoded integers in base 36 (shorter, no longer human-readable)',
       reversible: true
     },
     dictionaryEncoding: {
@@ -128,30 +344,138 @@ export const compressionOptions = {
       description: 'Number of columns to keep',
       reversible: false
     },
+    downsampleTimeSeries: {
+      default: false,
+      impact: 'high',
+      description: 'Downsample time series by their timestamp column, keeping peaks and shape (aggressive)',
+      reversible: false
+    },
+    downsampleMethod: {
+      default: 'resample',
+      choices: ['resample', 'lttb'],
+      impact: 'high',
+      description: 'Resample to a fixed interval with an aggregate, or keep N points with Largest-Triangle-Three-Buckets (lttb)',
+      reversible: false
+    },
+    timestampColumn: {
+      default: '',
+      impact: 'high',
+      description: 'Timestamp column (detected when empty: the first date column, or a numeric ts/time/*_at column)',
+      reversible: false
+    },
+    resampleInterval: {
+      default: '1m',
+      impact: 'high',
+      description: 'Resampling interval, e.g. 30s, 5m, 1h, 1d',
+      reversible: false
+    },
+    resampleAggregate: {
+      default: 'mean',
+      choices: ['mean', 'min-max', 'last'],
+      impact: 'high',
+      description: 'Per interval: the mean of numeric columns, the rows with the minimum and maximum value, or the last row',
+      reversible: false
+    },
+    lttbPoints: {
+      default: 1000,
+      impact: 'high',
+      description: 'Points kept by lttb',
+      reversible: false
+    },
+    downsampleValueColumn: {
+      default: '',
+      impact: 'high',
+      description: 'Value column for lttb and min-max (the first numeric column when empty)',
+      reversible: false
+    },
     sampleRows: {
       default: false,
       impact: 'high',
-      description: 'Sample rows (keep every nth row) (aggressive)',
+      description: 'Sample rows (keep 1 in n rows) (aggressive)',
       reversible: false
     },
     sampleRate: {
       default: 5,
       impact: 'high',
-      description: 'Keep every nth row',
+      description: 'Keep 1 in n rows',
+      reversible: false
+    },
+    samplingMode: {
+      default: 'every-nth',
+      choices: ['every-nth', 'reservoir', 'stratified'],
+      impact: 'high',
+      description: 'How sampled rows are picked: every nth, uniformly at random (reservoir), or in proportion per value of a column (stratified)',
+      reversible: false
+    },
+    sampleSeed: {
+      default: 1,
+      impact: 'high',
+      description: 'Seed for reservoir and stratified sampling (the same seed picks the same rows)',
+      reversible: false
+    },
+    stratifyColumn: {
+      default: '',
+      impact: 'high',
+      description: 'Column whose values stratified sampling keeps in proportion',
+      reversible: false
+    },
+    keepRowsMatching: {
+      default: null,
+      impact: 'medium',
+      description: 'Rows always kept by sampling, as { "column": "regex" }, e.g. { "status": "^(error|refund)$" }',
       reversible: false
     },
     removeOutliers: {
       default: false,
       impact: 'high',
-      description: 'Remove statistical outliers (aggressive)',
+      description: 'Remove or clip statistical outliers in numeric columns (aggressive)',
+      reversible: false
+    },
+    outlierMethod: {
+      default: 'zscore',
+      choices: ['zscore', 'iqr', 'percentile'],
+      impact: 'high',
+      description: 'Where outliers start: beyond a number of standard deviations (zscore), outside Tukey\'s IQR fences (iqr), or in the top and bottom percentiles (percentile)',
+      reversible: false
+    },
+    outlierZscore: {
+      default: 2,
+      impact: 'high',
+      description: 'zscore outliers: values more than this many standard deviations from the mean',
+      reversible: false
+    },
+    outlierIQRFactor: {
+      default: 1.5,
+      impact: 'high',
+      description: 'iqr outliers: values more than this many IQRs below Q1 or above Q3',
+      reversible: false
+    },
+    outlierPercentile: {
+      default: 1,
+      impact: 'high',
+      description: 'percentile outliers: the values in this top and bottom percent',
+      reversible: false
+    },
+    outlierAction: {
+      default: 'drop',
+      choices: ['drop', 'clip'],
+      impact: 'high',
+      description: 'Drop rows with an outlier, or clip (winsorize) the value to the nearest fence',
+      reversible: false
+    },
+    outlierRules: {
+      default: null,
+      impact: 'high',
+      description: 'Per-column outlier rules, e.g. { "price": { "method": "iqr", "threshold": 3, "action": "clip" }, "id": false }',
       reversible: false
     },
     statisticalSampling: {
       default: false,
       impact: 'high',
-      description: 'Keep 30% of rows systematically (aggressive)',
+      description: 'Keep 30% of rows, picked the samplingMode way (aggressive)',
       reversible: false
-    }
+    },
+    ...redactionOptions
   },
 
   JavaScript: {
@@ -354,7 +678,8 @@ export const compressionOptions = {
       default: false,
       impact: 'high',
       description: 'Keep only data statements (INSERT, UPDATE, SELECT, DELETE) (aggressive)',
-      reversible: false
+      reversible: false,
+      searchable: false
     },
     removeTransactions: {
       default: false,
@@ -532,7 +857,8 @@ export const compressionOptions = {
       impact: 'high',
       description: 'Shorten long key names (aggressive)',
       reversible: false
-    }
+    },
+    ...redactionOptions
   },
 
   Text: {
@@ -565,7 +891,8 @@ export const compressionOptions = {
       impact: 'high',
       description: 'Keep every nth line',
       reversible: false
-    }
+    },
+    ...redactionOptions
   },
 
   Markdown: {
@@ -598,7 +925,8 @@ export const compressionOptions = {
       impact: 'high',
       description: 'Remove images (aggressive)',
       reversible: false
-    }
+    },
+    ...redactionOptions
   }
 };
 
@@ -609,6 +937,23 @@ export function getOptionsForFileType(fileType) {
   return compressionOptions[fileType] || {};
 }
 
+/**
+ * Add options to a file type's table (used by plugins)
+ * Each entry has the same shape as the built-in ones: { default, impact, description, reversible, choices? }
+ */
+export function registerOptions(fileType, options) {
+  Object.entries(options).forEach(([key, option]) => {
+    if (!option || !('default' in option)) {
+      throw new Error(`Option ${fileType}.${key} needs a default value`);
+    }
+    if (!['low', 'medium', 'high'].includes(option.impact)) {
+      throw new Error(`Option ${fileType}.${key} needs an impact of low, medium or high`);
+    }
+  });
+
+  compressionOptions[fileType] = { ...compressionOptions[fileType], ...options };
+}
+
 /**
  * Get default options for a specific file type
  */
@@ -0,0 +1,168 @@
+/**
+ * RFC 4180 CSV Parser/Serializer
+ * Shared by every CSV operation so quoted fields survive compression intact
+ */
+
+/**
+ * Supported delimiters by option name
+ */
+export const DELIMITERS = {
+  comma: ',',
+  tab: '\t',
+  semicolon: ';',
+  pipe: '|'
+};
+
+/**
+ * Resolve a delimiter option ('auto', a name from DELIMITERS or the character itself)
+ * @returns {string|null} Delimiter character, or null for auto-detection
+ */
+export function resolveDelimiter(option) {
+  if (!option || option === 'auto') {
+    return null;
+  }
+  return DELIMITERS[option] || option;
+}
+
+/**
+ * Detect the delimiter by checking which candidate splits the first lines most consistently
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter character (comma when nothing better is found)
+ */
+export function detectDelimiter(text) {
+  const sample = stripBOM(text).slice(0, 64 * 1024);
+  let best = { delimiter: ',', score: 0 };
+
+  Object.values(DELIMITERS).forEach(delimiter => {
+    const records = parseRecords(sample, delimiter)
+      .filter(record => !(record.length === 1 && record[0] === ''))
+      .slice(0, 20);
+
+    // Drop the last record, it may have been cut off by the sample
+    if (sample.length < text.length && records.length > 1) {
+      records.pop();
+    }
+    if (records.length === 0) return;
+
+    const counts = records.map(record => record.length);
+    const columns = counts[0];
+    if (columns < 2) return;
+
+    // Share of records with the same field count as the header, weighted by column count
+    const consistency = counts.filter(count => count === columns).length / counts.length;
+    const score = consistency * Math.min(columns, 50);
+
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+}
+
+/**
+ * Parse CSV text into records
+ * @param {string} text - CSV text (may start with a BOM and use LF, CRLF or CR line endings)
+ * @param {object} options - { delimiter: 'auto' | name | character }
+ * @returns {object} { records, delimiter, hasBOM, lineEnding }
+ */
+export function parseCSV(text, options = {}) {
+  const hasBOM = text.charCodeAt(0) === 0xfeff;
+  const body = stripBOM(text);
+  const delimiter = resolveDelimiter(options.delimiter) || detectDelimiter(body);
+  const lineEnding = /\r\n/.test(body) ? '\r\n' : '\n';
+
+  return {
+    records: parseRecords(body, delimiter),
+    delimiter,
+    hasBOM,
+    lineEnding
+  };
+}
+
+/**
+ * Serialize records back to CSV text, quoting fields only where RFC 4180 requires it
+ * @param {Array<Array<string>>} records - Rows of fields
+ * @param {object} options - { delimiter, lineEnding }
+ * @returns {string} CSV text
+ */
+export function serializeCSV(records, options = {}) {
+  const delimiter = resolveDelimiter(options.delimiter) || ',';
+  const lineEnding = options.lineEnding || '\n';
+
+  return records
+    .map(record => record.map(field => quoteField(field, delimiter)).join(delimiter))
+    .join(lineEnding);
+}
+
+/**
+ * Quote a single field if it contains the delimiter, a quote, a line break or edge whitespace
+ */
+export function quoteField(field, delimiter = ',') {
+  const value = field === null || field === undefined ? '' : String(field);
+
+  if (value.includes(delimiter) || /["\r\n]/.test(value) || value !== value.trim()) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Tokenize CSV text with a known delimiter
+ */
+function parseRecords(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  // Last record (unless the text ended with a line break)
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+function stripBOM(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
@@ -0,0 +1,180 @@
+/**
+ * CSV Column Profiles
+ * Infers each column's type and measures it (cardinality, nulls, range), then
+ * estimates what each encoding would save. The CSV engine uses the estimates to
+ * pick a numeric encoding, dictionary encoding, folding or dropping per column,
+ * and the preview shows them as a table.
+ */
+
+import { parseCSV } from './csv-parser.js';
+import { planNumericColumn } from './numeric-encoding.js';
+
+export const COLUMN_TYPES = ['empty', 'int', 'float', 'date', 'boolean', 'categorical', 'text'];
+
+// Values that mean "no value"
+const NULL_VALUES = new Set(['', 'null', 'NULL', 'Null', 'NA', 'N/A', 'n/a', 'None', 'nil']);
+
+const INT_PATTERN = /^[-+]?\d+$/;
+const BOOLEAN_PATTERN = /^(?:true|false|yes|no|t|f|y|n)$/i;
+const DATE_PATTERN = /^(?:\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?|\d{4}\/\d{1,2}\/\d{1,2}|\d{1,2}\/\d{1,2}\/\d{4})$/;
+
+// Suffix dictionary encoding adds to the header ("country(D)")
+const DICTIONARY_SUFFIX_LENGTH = 3;
+
+/**
+ * Check whether a field holds a plain decimal number (no units, dates or thousands separators)
+ */
+export function isNumericField(field) {
+  return /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(field);
+}
+
+/**
+ * Check whether a field means "no value" (empty, null, NA, N/A, None, nil)
+ */
+export function isNullValue(field) {
+  return NULL_VALUES.has(field);
+}
+
+/**
+ * Profile every column of a CSV document
+ * @param {string} content - CSV text
+ * @param {object} options - { delimiter, dictionaryStorage, packIntegers } as in the CSV options
+ * @returns {Array<object>} Column profiles, as from profileColumns
+ */
+export function profileCSV(content, { delimiter, dictionaryStorage, packIntegers } = {}) {
+  const records = parseCSV(content, { delimiter }).records
+    .filter(record => !(record.length === 1 && record[0].trim() === ''));
+  if (records.length === 0) return [];
+
+  const rows = records.slice(1).map(fields => fields.map(field => field.trim()));
+  return profileColumns(records[0], rows, {
+    embedDictionaries: dictionaryStorage === 'embedded',
+    packIntegers: packIntegers === true
+  });
+}
+
+/**
+ * Profile the columns of parsed rows
+ * @param {Array<string>} header - Header fields
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {object} options - {
+ *   embedDictionaries,     // Count the dictionaries and numeric plans, written into the file's trailer,
+ *                          // against the encodings' savings
+ *   packIntegers           // Plan numeric encodings with base-36 integers
+ * }
+ * @returns {Array<object>} [{
+ *   index, name,
+ *   type,                  // One of COLUMN_TYPES
+ *   count, nulls, nullRate,
+ *   cardinality,           // Distinct non-null values
+ *   min, max,              // Numbers for int/float, the original strings for dates, otherwise null
+ *   constant,              // Every field has the same text
+ *   numericEncoding,       // Smallest numeric encoding (see numeric-encoding.js), or null
+ *   savings: { numeric, dictionary, drop },  // Estimated characters saved; null where an encoding does not apply
+ *   recommended            // 'fold', 'drop', 'numeric', 'dictionary' or null
+ * }]
+ */
+export function profileColumns(header, rows, { embedDictionaries = false, packIntegers = false } = {}) {
+  return header.map((name, index) => {
+    const values = rows.map(fields => (fields[index] ?? '').trim());
+    const present = values.filter(value => !NULL_VALUES.has(value));
+    const distinct = new Set(present);
+    const type = inferType(present, distinct.size);
+    const numericPlan = type === 'int' || type === 'float' ? planNumericColumn(values, { pack: packIntegers }) : null;
+
+    const column = {
+      index,
+      name,
+      type,
+      count: values.length,
+      nulls: values.length - present.length,
+      nullRate: values.length > 0 ? (values.length - present.length) / values.length : 0,
+      cardinality: distinct.size,
+      ...getRange(type, present),
+      constant: values.length > 0 && values.every(value => value === values[0]),
+      numericEncoding: numericPlan?.encoding ?? null,
+      savings: {
+        numeric: numericPlan ? numericPlan.saving - (embedDictionaries ? getTrailerEntryLength(name, numericPlan.plan) : 0) : null,
+        dictionary: estimateDictionarySaving(values, embedDictionaries ? name : null),
+        drop: values.reduce((sum, value) => sum + value.length + 1, name.length + 1) // Field and delimiter
+      }
+    };
+    column.recommended = recommendEncoding(column);
+    return column;
+  });
+}
+
+/**
+ * Pick a column's encoding: a column that holds at most one value is folded (every field
+ * the same, so the value is recorded and the column restores exactly) or dropped; other
+ * columns get whichever of their numeric encoding and dictionary encoding saves more
+ * @param {object} column - Column profile
+ * @param {object} allowed - { drop, numeric, dictionary }: encodings that may be chosen
+ *   (drop covers folding)
+ * @returns {string|null} 'fold', 'drop', 'numeric', 'dictionary' or null
+ */
+export function recommendEncoding(column, allowed = { drop: true, numeric: true, dictionary: true }) {
+  if (allowed.drop && column.constant) return 'fold';
+  if (allowed.drop && column.cardinality <= 1) return 'drop';
+
+  const candidates = ['numeric', 'dictionary']
+    .filter(encoding => allowed[encoding] && column.savings[encoding] > 0)
+    .sort((a, b) => column.savings[b] - column.savings[a]);
+  return candidates[0] || null;
+}
+
+function inferType(values, cardinality) {
+  if (values.length === 0) return 'empty';
+  if (values.every(value => INT_PATTERN.test(value))) return 'int';
+  if (values.every(isNumericField)) return 'float';
+  if (values.every(value => BOOLEAN_PATTERN.test(value))) return 'boolean';
+  if (values.every(value => DATE_PATTERN.test(value) && !isNaN(Date.parse(value)))) return 'date';
+
+  // Few distinct values for the number of rows: a category rather than free text
+  return cardinality <= Math.max(1, values.length / 2) ? 'categorical' : 'text';
+}
+
+function getRange(type, values) {
+  if (type === 'int' || type === 'float') {
+    const numbers = values.map(Number);
+    return {
+      min: numbers.reduce((a, b) => Math.min(a, b)),
+      max: numbers.reduce((a, b) => Math.max(a, b))
+    };
+  }
+  if (type === 'date') {
+    const byTime = (a, b) => Date.parse(a) - Date.parse(b);
+    return {
+      min: values.reduce((a, b) => byTime(a, b) <= 0 ? a : b),
+      max: values.reduce((a, b) => byTime(a, b) >= 0 ? a : b)
+    };
+  }
+  return { min: null, max: null };
+}
+
+/**
+ * Characters saved by dictionary encoding, which applies to columns with at least 3
+ * distinct values that repeat (distinct values under 80% of rows). Values become their
+ * index in the sorted list of distinct values. The lists go in the manifest, or when
+ * embedded (name given) into the file, where they cost their JSON length.
+ */
+function estimateDictionarySaving(values, embeddedName = null) {
+  const distinct = [...new Set(values)].sort();
+  if (distinct.length < 3 || distinct.length >= values.length || distinct.length / values.length >= 0.8) {
+    return null;
+  }
+
+  const codeLengths = new Map(distinct.map((value, code) => [value, String(code).length]));
+  let encoded = values.reduce((sum, value) => sum + codeLengths.get(value), 0);
+  if (embeddedName !== null) {
+    encoded += getTrailerEntryLength(embeddedName, distinct);
+  }
+  return values.reduce((sum, value) => sum + value.length, 0) - encoded - DICTIONARY_SUFFIX_LENGTH;
+}
+
+/**
+ * Length of a column's "name":value member in the embedded trailer, with its comma
+ */
+export function getTrailerEntryLength(name, value) {
+  return JSON.stringify(name).length + JSON.stringify(value).length + 2;
+}
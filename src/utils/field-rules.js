@@ -0,0 +1,306 @@
+/**
+ * JSON Field Rules
+ * Per-field treatment for the JSON engine: keep a field exact, round it,
+ * truncate it or drop it, selected by JSON Pointer or JSONPath.
+ *
+ * Rules are given as a list, or derived from a JSON Schema whose properties
+ * carry an "x-l0ss" annotation:
+ *
+ *   [
+ *     { path: '$..id', action: 'keep' },
+ *     { path: '$.orders[*].total', action: 'round', decimals: 2 },
+ *     { path: '$.items[*].description', action: 'truncate', maxLength: 40 },
+ *     { path: '/debug', action: 'drop' }
+ *   ]
+ *
+ *   { type: 'object', properties: { id: { type: 'string', 'x-l0ss': 'keep' } } }
+ */
+
+export const FIELD_ACTIONS = ['keep', 'round', 'truncate', 'drop'];
+
+export const SCHEMA_KEYWORD = 'x-l0ss';
+
+// Path tokens that match any single key or index, and any number of levels
+const ANY = Symbol('any');
+const DESCEND = Symbol('descend');
+
+/**
+ * Turn a rule list or a JSON Schema into validated rules
+ * @param {Array<object>|object} value - Rules, or a JSON Schema with "x-l0ss" annotations
+ * @returns {Array<object>} [{ path, action, decimals?, maxLength?, tokens }]
+ */
+export function normalizeFieldRules(value) {
+  if (!value) return [];
+
+  const rules = Array.isArray(value) ? value : schemaToFieldRules(value);
+
+  return rules.map(rule => {
+    if (typeof rule?.path !== 'string') {
+      throw new Error('Field rule needs a path');
+    }
+    if (!FIELD_ACTIONS.includes(rule.action)) {
+      throw new Error(`Field rule ${rule.path}: unknown action "${rule.action}" (expected ${FIELD_ACTIONS.join(', ')})`);
+    }
+
+    const tokens = parseFieldPath(rule.path);
+    if (tokens.length === 0) {
+      throw new Error(`Field rule ${rule.path}: path must select a field, not the whole document`);
+    }
+
+    const normalized = { path: rule.path, action: rule.action, tokens };
+    if (rule.action === 'round') {
+      normalized.decimals = rule.decimals ?? 2;
+      if (!Number.isInteger(normalized.decimals) || normalized.decimals < 0 || normalized.decimals > 100) {
+        throw new Error(`Field rule ${rule.path}: decimals must be an integer from 0 to 100`);
+      }
+    }
+    if (rule.action === 'truncate') {
+      normalized.maxLength = rule.maxLength ?? 100;
+      if (!Number.isInteger(normalized.maxLength) || normalized.maxLength < 0) {
+        throw new Error(`Field rule ${rule.path}: maxLength must be a non-negative integer`);
+      }
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Derive rules from the "x-l0ss" annotations of a JSON Schema
+ * The annotation is an action name or { action, decimals?, maxLength? }.
+ * Follows properties, items, prefixItems, additionalProperties, allOf/anyOf/oneOf
+ * and local $refs.
+ * @returns {Array<object>} [{ path, action, ... }] with JSON Pointer paths
+ */
+export function schemaToFieldRules(schema) {
+  const rules = [];
+
+  function visit(node, pointer, refs) {
+    if (typeof node !== 'object' || node === null) return;
+
+    if (typeof node.$ref === 'string') {
+      if (refs.includes(node.$ref)) return; // Recursive schema
+      visit(resolveSchemaRef(schema, node.$ref), pointer, [...refs, node.$ref]);
+    }
+
+    const annotation = node[SCHEMA_KEYWORD];
+    if (annotation !== undefined && pointer !== '') {
+      const rule = typeof annotation === 'string' ? { action: annotation } : { ...annotation };
+      rules.push({ ...rule, path: pointer });
+    }
+
+    Object.entries(node.properties || {}).forEach(([key, child]) => {
+      visit(child, `${pointer}/${escapeToken(key)}`, refs);
+    });
+    if (typeof node.additionalProperties === 'object') {
+      visit(node.additionalProperties, `${pointer}/*`, refs);
+    }
+    if (Array.isArray(node.prefixItems)) {
+      node.prefixItems.forEach((child, index) => visit(child, `${pointer}/${index}`, refs));
+    }
+    if (Array.isArray(node.items)) {
+      node.items.forEach((child, index) => visit(child, `${pointer}/${index}`, refs));
+    } else if (typeof node.items === 'object') {
+      visit(node.items, `${pointer}/*`, refs);
+    }
+    ['allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+      (node[keyword] || []).forEach(child => visit(child, pointer, refs));
+    });
+  }
+
+  visit(schema, '', []);
+  return rules;
+}
+
+/**
+ * Parse a JSON Pointer ("/a/b", with "*" for any key and "**" for any depth)
+ * or a JSONPath ("$.a[*].b", "$..id", "$['a b'][0]") into path tokens
+ */
+export function parseFieldPath(path) {
+  if (path === '' || path === '$') return [];
+
+  if (path.startsWith('/')) {
+    return path.split('/').slice(1).map(token => {
+      if (token === '*') return ANY;
+      if (token === '**') return DESCEND;
+      return token.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+  }
+
+  if (path.startsWith('$')) {
+    return parseJSONPath(path);
+  }
+
+  throw new Error(`Field rule path "${path}" must be a JSON Pointer ("/...") or a JSONPath ("$...")`);
+}
+
+/**
+ * Check whether a concrete path (keys and indices) matches parsed path tokens
+ */
+export function matchFieldPath(tokens, path, i = 0, j = 0) {
+  if (i === tokens.length) return j === path.length;
+
+  if (tokens[i] === DESCEND) {
+    for (let k = j; k <= path.length; k++) {
+      if (matchFieldPath(tokens, path, i + 1, k)) return true;
+    }
+    return false;
+  }
+
+  if (j === path.length) return false;
+  if (tokens[i] !== ANY && tokens[i] !== String(path[j])) return false;
+  return matchFieldPath(tokens, path, i + 1, j + 1);
+}
+
+/**
+ * Track fields that later, uniform passes must leave alone.
+ * Fields are keyed by their parent container so they survive key shortening.
+ */
+export function createFieldGuard() {
+  const protectedKeys = new WeakMap();
+
+  return {
+    protect(parent, key) {
+      if (!protectedKeys.has(parent)) protectedKeys.set(parent, new Set());
+      protectedKeys.get(parent).add(String(key));
+    },
+    isProtected(parent, key) {
+      return protectedKeys.get(parent)?.has(String(key)) === true;
+    },
+    hasProtected(parent) {
+      return protectedKeys.has(parent);
+    },
+    rename(parent, from, to) {
+      const keys = protectedKeys.get(parent);
+      if (keys?.delete(from)) keys.add(to);
+    }
+  };
+}
+
+/**
+ * Apply rules to a parsed document in place
+ * The first rule matching a field wins. A round or truncate rule on an object or
+ * array applies to every number or string beneath it that no rule of its own matches;
+ * keep and drop cover the whole subtree. Kept, rounded and truncated fields are
+ * registered with the guard so the level's uniform passes skip them.
+ * @returns {Array<object>} [{ path, rule, action }] with JSON Pointer paths, in document order
+ */
+export function applyFieldRules(data, rules, guard) {
+  const touched = [];
+
+  function visit(parent, key, path, inherited) {
+    const value = parent[key];
+    const rule = rules.find(candidate => matchFieldPath(candidate.tokens, path));
+    const pointer = toPointer(path);
+
+    if (rule?.action === 'drop') {
+      touched.push({ path: pointer, rule: rule.path, action: 'drop' });
+      return true;
+    }
+    if (rule?.action === 'keep') {
+      guard.protect(parent, key);
+      touched.push({ path: pointer, rule: rule.path, action: 'keep' });
+      return false;
+    }
+
+    const active = rule || inherited;
+    if (typeof value === 'object' && value !== null) {
+      visitChildren(value, path, active);
+    } else if (active?.action === 'round' && typeof value === 'number') {
+      const rounded = parseFloat(value.toFixed(active.decimals));
+      guard.protect(parent, key);
+      if (rounded !== value) {
+        parent[key] = rounded;
+        touched.push({ path: pointer, rule: active.path, action: 'round' });
+      }
+    } else if (active?.action === 'truncate' && typeof value === 'string') {
+      guard.protect(parent, key);
+      if (value.length > active.maxLength) {
+        parent[key] = value.substring(0, active.maxLength) + '...';
+        touched.push({ path: pointer, rule: active.path, action: 'truncate' });
+      }
+    }
+    return false;
+  }
+
+  function visitChildren(node, path, inherited) {
+    if (Array.isArray(node)) {
+      const dropped = [];
+      node.forEach((_item, index) => {
+        if (visit(node, index, [...path, index], inherited)) dropped.push(index);
+      });
+      // Splice from the end so the earlier indices stay valid
+      dropped.reverse().forEach(index => node.splice(index, 1));
+    } else {
+      Object.keys(node).forEach(key => {
+        if (visit(node, key, [...path, key], inherited)) delete node[key];
+      });
+    }
+  }
+
+  if (typeof data === 'object' && data !== null) {
+    visitChildren(data, [], null);
+  }
+  return touched;
+}
+
+/**
+ * Apply rules to each element of an array as if it were its own document
+ * (the lines of an NDJSON file); touched paths start with the element's index
+ */
+export function applyFieldRulesToRecords(records, rules, guard) {
+  const scoped = rules.map(rule => ({ ...rule, tokens: [ANY, ...rule.tokens] }));
+  return applyFieldRules(records, scoped, guard);
+}
+
+function parseJSONPath(path) {
+  const tokens = [];
+  const pattern = /\.\.|\.(\*|[A-Za-z_$][\w$-]*)|\[(\*|\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\]/y;
+  pattern.lastIndex = 1;
+
+  while (pattern.lastIndex < path.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(path);
+    if (!match || match.index !== start) {
+      throw new Error(`Unsupported JSONPath "${path}" at position ${start} (filters and slices are not supported)`);
+    }
+
+    if (match[0] === '..') {
+      tokens.push(DESCEND);
+      // "$..id" is shorthand for "$..['id']"
+      const name = /^(\*|[A-Za-z_$][\w$-]*)/.exec(path.slice(pattern.lastIndex));
+      if (name) {
+        tokens.push(name[1] === '*' ? ANY : name[1]);
+        pattern.lastIndex += name[0].length;
+      }
+      continue;
+    }
+
+    const token = match[1] ?? match[2];
+    if (token === '*') {
+      tokens.push(ANY);
+    } else if (token.startsWith("'") || token.startsWith('"')) {
+      tokens.push(token.slice(1, -1).replace(/\\(.)/g, '$1'));
+    } else {
+      tokens.push(token);
+    }
+  }
+
+  return tokens;
+}
+
+function resolveSchemaRef(schema, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local schema $refs are supported, got "${ref}"`);
+  }
+  return ref.slice(1).split('/').slice(1).reduce((node, token) => {
+    return node?.[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }, schema);
+}
+
+function toPointer(path) {
+  return path.map(key => `/${escapeToken(String(key))}`).join('');
+}
+
+function escapeToken(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
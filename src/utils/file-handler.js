@@ -2,6 +2,8 @@
  * File Download and Handling Utilities
  */
 
+import { createZip } from './zip-writer.js';
+
 /**
  * Download a single file
  */
@@ -18,20 +20,13 @@ export function downloadFile(content, filename) {
 }
 
 /**
- * Download multiple files as a ZIP archive
- * Uses JSZip library if available, otherwise downloads individually
+ * Download multiple files as a single ZIP archive
+ * @param {Array<object>} files - [{ name, content }]
+ * @param {string} zipName - Archive file name
  */
 export async function downloadZip(files, zipName) {
-  // For now, download files individually
-  // In the future, we can add JSZip as an optional dependency
-  for (const file of files) {
-    downloadFile(file.content, file.name);
-    // Small delay between downloads
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
-
-  // Optional: Show a message that files are downloading individually
-  console.log(`Downloaded ${files.length} files individually`);
+  const archive = await createZip(files);
+  downloadFile(archive, zipName);
 }
 
 /**
@@ -2,35 +2,322 @@
  * File Type Detection Utility
  */
 
+const typeMap = {
+  json: 'JSON',
+  ndjson: 'NDJSON',
+  jsonl: 'NDJSON',
+  csv: 'CSV',
+  tsv: 'CSV',
+  js: 'JavaScript',
+  mjs: 'JavaScript',
+  html: 'HTML',
+  htm: 'HTML',
+  css: 'CSS',
+  sql: 'SQL',
+  xml: 'XML',
+  yaml: 'YAML',
+  yml: 'YAML',
+  svg: 'SVG',
+  md: 'Markdown',
+  markdown: 'Markdown',
+  txt: 'Text'
+};
+
 export function detectFileType(filename) {
   const ext = filename.split('.').pop().toLowerCase();
+  return typeMap[ext] || 'Text';
+}
+
+export function getSupportedExtensions() {
+  return Object.keys(typeMap).map(ext => `.${ext}`);
+}
+
+/**
+ * Map file extensions to a file type (used by plugins)
+ * @param {string} fileType - File type name, e.g. 'TOML'
+ * @param {Array<string>} extensions - Extensions with or without the leading dot
+ */
+export function registerFileType(fileType, extensions) {
+  extensions.forEach(ext => {
+    typeMap[ext.replace(/^\./, '').toLowerCase()] = fileType;
+  });
+}
+
+// Extensions that say nothing about the format, so content decides
+const GENERIC_EXTENSIONS = new Set(['txt', 'log', 'dat', 'data', 'out', 'text']);
+
+// Content at or above this confidence overrides a specific extension
+const CONTENT_OVERRIDE_CONFIDENCE = 0.9;
+
+// Content below this confidence is not trusted over the Text fallback (or a generic extension):
+// a wrong guess sends plain text through an engine that rewrites it
+const MIN_CONTENT_CONFIDENCE = 0.7;
+
+// Only this much of the content is examined
+const SNIFF_LENGTH = 64 * 1024;
+
+// Types that are the same format as far as detection can tell
+const COMPATIBLE_TYPES = {
+  SVG: ['XML'],
+  XML: ['SVG'],
+  Markdown: ['Text'],
+  Text: ['Markdown'],
+  YAML: ['JSON'],
+  NDJSON: ['JSON']
+};
+
+/**
+ * Detect the file type from the extension and the content together
+ * A specific extension wins unless the content strongly says otherwise;
+ * generic or unknown extensions (.txt, .log, none) are decided by content when it is
+ * confident enough, and are Text otherwise.
+ * @param {string} filename - File name (may be empty)
+ * @param {string} content - File content (only the first 64 KB is examined)
+ * @returns {object} { type, confidence (0-1), source: 'extension' | 'content', candidates }
+ */
+export function detectFileTypeWithConfidence(filename, content = '') {
+  const ext = filename && filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+  const extensionType = GENERIC_EXTENSIONS.has(ext) ? null : typeMap[ext] || null;
+  const candidates = sniffFileType(content);
+  const best = candidates[0];
+
+  if (!extensionType) {
+    const { type, confidence } = pickContentType(candidates);
+    return { type, confidence, source: 'content', candidates };
+  }
+
+  const agreeing = candidates.find(c => c.type === extensionType || COMPATIBLE_TYPES[extensionType]?.includes(c.type));
+  if (best.confidence >= CONTENT_OVERRIDE_CONFIDENCE && agreeing !== best) {
+    return { type: best.type, confidence: best.confidence, source: 'content', candidates };
+  }
+
+  // Content that matches the extension raises confidence; content that contradicts it lowers it
+  const confidence = agreeing
+    ? Math.max(0.9, agreeing.confidence)
+    : best.type === 'Text' ? 0.8 : 0.6;
+
+  return { type: extensionType, confidence, source: 'extension', candidates };
+}
+
+/**
+ * Guess the file type from content when no file name is available
+ * Anything that isn't recognized is Text.
+ */
+export function detectFileTypeFromContent(content) {
+  return pickContentType(sniffFileType(content)).type;
+}
+
+/**
+ * The best candidate if it is confident enough, otherwise Text
+ */
+function pickContentType(candidates) {
+  const best = candidates[0];
+  if (best.type === 'Text' || best.confidence >= MIN_CONTENT_CONFIDENCE) return best;
+  return { type: 'Text', confidence: Math.max(0.5, 1 - best.confidence) };
+}
 
-  const typeMap = {
-    json: 'JSON',
-    csv: 'CSV',
-    js: 'JavaScript',
-    mjs: 'JavaScript',
-    html: 'HTML',
-    htm: 'HTML',
-    css: 'CSS',
-    sql: 'SQL',
-    xml: 'XML',
-    yaml: 'YAML',
-    yml: 'YAML',
-    svg: 'SVG',
-    md: 'Markdown',
-    markdown: 'Markdown',
-    txt: 'Text'
+/**
+ * Score every recognizable format for a piece of content
+ * @returns {Array<object>} [{ type, confidence }] sorted by confidence, always ending in Text
+ */
+export function sniffFileType(content) {
+  const truncated = content.length > SNIFF_LENGTH;
+  const text = content.slice(0, SNIFF_LENGTH).replace(/^\uFEFF/, '').trimStart();
+  const head = text.slice(0, 4096);
+  const lines = head.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+  const candidates = [];
+  const add = (type, confidence) => {
+    if (confidence > 0) candidates.push({ type, confidence: Math.round(confidence * 100) / 100 });
   };
 
-  return typeMap[ext] || 'Text';
+  // JSON: a complete document is conclusive; a long one is cut off, so a well-formed start has to do
+  if (/^[{[]/.test(text)) {
+    const structure = scanJSONPrefix(text);
+    if (structure === 'complete' && !truncated) {
+      add('JSON', 0.99);
+    } else if (structure !== 'invalid' && truncated) {
+      add('JSON', 0.9);
+    } else {
+      add('JSON', /^[{[]\s*("[^"]*"\s*:|[\d"{[\]-]|true|false|null)/.test(text) ? 0.6 : 0);
+    }
+  }
+
+  // NDJSON: one JSON document per line (the last line of a sample may be cut off)
+  if (/^[{[]/.test(text) && lines.length > 1) {
+    const parsed = lines.slice(0, -1).filter(line => {
+      try {
+        JSON.parse(line);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }).length;
+    if (parsed === lines.length - 1 && /^\s*[{[]/.test(lines[lines.length - 1])) {
+      add('NDJSON', 0.95);
+    }
+  }
+
+  // Markup: root element
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) {
+    add('SVG', 0.97);
+  } else if (/^(<!--[\s\S]*?-->\s*)*<!doctype\s+html/i.test(head)) {
+    add('HTML', 0.97);
+  } else if (/^(<!--[\s\S]*?-->\s*)*<html[\s>]/i.test(head)) {
+    add('HTML', 0.92);
+  } else if (/^<\?xml\s/.test(head)) {
+    add('XML', 0.95);
+  } else if (/^<([A-Za-z_][\w.:-]*)[\s>/]/.test(head)) {
+    add(/<(head|body|div|p|span|script)[\s>]/i.test(head) ? 'HTML' : 'XML', 0.7);
+  }
+
+  // SQL: statements starting with keywords
+  const sqlStatements = (head.match(/(^|[;\n])\s*(SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM|CREATE\s+(TABLE|INDEX|VIEW|DATABASE)|DROP|ALTER\s+TABLE|WITH|BEGIN)\b/gi) || []).length;
+  if (/^(--[^\n]*\n\s*)*(SELECT|INSERT|UPDATE|DELETE|CREATE|DROP|ALTER|WITH|BEGIN)\b/i.test(head)) {
+    add('SQL', Math.min(0.95, 0.75 + sqlStatements * 0.05));
+  }
+
+  // CSV: same field count on every line with a consistent delimiter
+  if (lines.length > 1 && !/^[{[<]/.test(text)) {
+    let bestCSV = 0;
+    [',', '\t', ';', '|'].forEach(delimiter => {
+      const counts = lines.map(line => line.split(delimiter).length);
+      if (counts[0] < 2) return;
+      // Every line ending in the delimiter is code (statements ending in ;), not a table
+      if (lines.every(line => line.trimEnd().endsWith(delimiter))) return;
+      if (isProse(lines, delimiter)) return;
+      const consistent = counts.filter(count => count === counts[0]).length / counts.length;
+      bestCSV = Math.max(bestCSV, consistent * (lines.length >= 3 ? 0.92 : 0.75));
+    });
+    add('CSV', bestCSV);
+  }
+
+  // YAML: document marker, or most lines are "key: value", "- item" or comments
+  if (!/^[{[<]/.test(text)) {
+    const yamlLines = lines.filter(line => /^\s*(-\s+\S|-$|#|[\w"'./-][\w "'./-]*:(\s|$))/.test(line)).length;
+    const hasMapping = lines.some(line => /^\s*[\w"'./-][\w "'./-]*:(\s|$)/.test(line));
+    const ratio = lines.length > 0 ? yamlLines / lines.length : 0;
+    if (/^---\s*(\n|$)/.test(head)) {
+      add('YAML', 0.9);
+    } else if (hasMapping && ratio >= 0.8) {
+      add('YAML', 0.5 + ratio * 0.35);
+    }
+  }
+
+  // Markdown: headings, fences, links and lists
+  const markdownSignals = [/^#{1,6} /m, /^```/m, /\[[^\]]+\]\([^)]+\)/, /^\s*[-*] \S/m, /^\s*\d+\. \S/m, /\*\*[^*]+\*\*/]
+    .filter(pattern => pattern.test(head)).length;
+  if (markdownSignals >= 1 && /^#{1,6} |^```/m.test(head)) {
+    add('Markdown', Math.min(0.9, 0.6 + markdownSignals * 0.1));
+  }
+
+  // CSS: selector blocks with property declarations
+  if (/^[^{}<]+\{\s*[\w-]+\s*:[^;{}]+;?/m.test(head) && !/^[{[]/.test(text)) {
+    add('CSS', /^(@media|@import|@font-face|:root|[.#]?[\w-]+)[^{]*\{/m.test(head) ? 0.8 : 0.6);
+  }
+
+  // JavaScript: declarations, imports and arrow functions
+  const jsSignals = [/\b(const|let|var)\s+\w+\s*=/, /\bfunction\s*\w*\s*\(/, /^\s*(import|export)\s/m, /=>\s*[{(]?/, /\brequire\(['"]/]
+    .filter(pattern => pattern.test(head)).length;
+  if (jsSignals >= 2) {
+    add('JavaScript', Math.min(0.85, 0.45 + jsSignals * 0.1));
+  }
+
+  candidates.sort((a, b) => b.confidence - a.confidence);
+  candidates.push({ type: 'Text', confidence: candidates.length === 0 ? 0.5 : 0.1 });
+  return candidates;
 }
 
-export function getSupportedExtensions() {
-  return [
-    '.json', '.csv', '.js', '.mjs',
-    '.html', '.htm', '.css', '.sql',
-    '.xml', '.yaml', '.yml', '.svg',
-    '.md', '.markdown', '.txt'
-  ];
+const JSON_LITERAL = /true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const JSON_LITERAL_START = /^(?:t(?:r(?:u)?)?|f(?:a(?:l(?:s)?)?)?|n(?:u(?:l)?)?|-?\d*(?:\.\d*)?(?:[eE][+-]?\d*)?)$/;
+
+/**
+ * Check the structure of what may be the start of a JSON document, without parsing values
+ * @returns {string} 'complete' (one whole document), 'partial' (well-formed so far, cut off)
+ *   or 'invalid'
+ */
+function scanJSONPrefix(text) {
+  const stack = [];
+  let expect = 'value'; // value, key, colon, comma (after a value inside a container) or end
+  let opened = false; // Right after { or [, where the container may close at once
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+      i++;
+      continue;
+    }
+    if (expect === 'end') return 'invalid';
+
+    const top = stack[stack.length - 1];
+    const closes = (ch === '}' && top === '{') || (ch === ']' && top === '[');
+
+    if (expect === 'colon') {
+      if (ch !== ':') return 'invalid';
+      expect = 'value';
+    } else if (expect === 'comma' || (opened && closes)) {
+      if (ch === ',' && expect === 'comma') {
+        expect = top === '{' ? 'key' : 'value';
+      } else if (closes) {
+        stack.pop();
+        expect = stack.length > 0 ? 'comma' : 'end';
+      } else {
+        return 'invalid';
+      }
+      opened = false;
+    } else if (ch === '"') {
+      i = findStringEnd(text, i);
+      if (i === -1) return 'invalid';
+      if (i === text.length) return 'partial';
+      expect = expect === 'key' ? 'colon' : stack.length > 0 ? 'comma' : 'end';
+      opened = false;
+    } else if (expect === 'key') {
+      return 'invalid';
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch);
+      expect = ch === '{' ? 'key' : 'value';
+      opened = true;
+    } else {
+      JSON_LITERAL.lastIndex = i;
+      const match = JSON_LITERAL.exec(text);
+      if (!match || match.index + match[0].length === text.length) {
+        return JSON_LITERAL_START.test(text.slice(i)) ? 'partial' : 'invalid';
+      }
+      i += match[0].length;
+      expect = stack.length > 0 ? 'comma' : 'end';
+      opened = false;
+      continue;
+    }
+    i++;
+  }
+
+  return expect === 'end' ? 'complete' : 'partial';
+}
+
+/**
+ * Position of the quote closing the string that starts at start, text.length if the
+ * text ends first, or -1 for a control character inside the string
+ */
+function findStringEnd(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') return i;
+    if (ch === '\\') i++;
+    else if (ch < ' ') return -1;
+  }
+  return text.length;
+}
+
+/**
+ * Sentences split at their commas, not a table: most delimiters are followed by a space
+ * and the pieces between them run to several words
+ */
+function isProse(lines, delimiter) {
+  if (delimiter === '\t') return false;
+
+  const fields = lines.flatMap(line => line.split(delimiter).slice(1));
+  if (fields.length === 0) return false;
+  const spaced = fields.filter(field => /^\s/.test(field)).length / fields.length;
+  const words = fields.reduce((sum, field) => sum + field.trim().split(/\s+/).length, 0) / fields.length;
+  return spaced >= 0.5 && words >= 3;
 }
@@ -0,0 +1,200 @@
+/**
+ * Self-Describing JSON Reader
+ * Expands output produced with the JSON and NDJSON "selfDescribing" option back to the
+ * original keys, "columnarArrays" tables back to arrays of objects, and "shareValues"
+ * references back to the values they stand for.
+ * Has no dependencies, so it can be copied into any project that consumes l0ss output.
+ */
+
+/**
+ * Reserved root key holding the short key → original key map
+ */
+export const KEY_MAP_KEY = '$keys';
+
+/**
+ * Reserved root key holding the document when its root is not an object
+ */
+export const DATA_KEY = '$data';
+
+/**
+ * Reserved keys of a columnar table: { "$cols": [keys], "$rows": [[values], ...] }
+ */
+export const COLUMNS_KEY = '$cols';
+export const ROWS_KEY = '$rows';
+
+/**
+ * Reserved root key holding the shared value table: { "$values": [...], "$data": document }
+ * Inside the document (and the table), "$" plus a base-36 index refers to a table entry,
+ * and strings that really start with "$" have a second "$" in front.
+ */
+export const VALUES_KEY = '$values';
+
+const REFERENCE_PATTERN = /^\$[0-9a-z]+$/;
+
+/**
+ * Expand a self-describing JSON document
+ * @param {string|object} input - JSON text or an already parsed document
+ * @returns {*} The document with original keys and tables expanded; input without an
+ * embedded key map only has its tables expanded
+ */
+export function expandJSONKeys(input) {
+  let doc = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!isPlainObject(doc) || !isPlainObject(doc[KEY_MAP_KEY])) {
+    return expandJSONColumns(expandJSONValues(doc));
+  }
+
+  const keyMap = doc[KEY_MAP_KEY];
+  const { [KEY_MAP_KEY]: _keyMap, ...rest } = doc;
+  if (Object.prototype.hasOwnProperty.call(rest, DATA_KEY) && !(VALUES_KEY in rest)) {
+    doc = rest[DATA_KEY];
+  } else {
+    doc = expandJSONValues(rest);
+  }
+
+  const expand = value => {
+    if (isColumnTable(value)) {
+      return expand(tableToRecords(value));
+    }
+    if (Array.isArray(value)) {
+      return value.map(expand);
+    }
+    if (isPlainObject(value)) {
+      const expanded = {};
+      Object.keys(value).forEach(key => {
+        const originalKey = Object.prototype.hasOwnProperty.call(keyMap, key) ? keyMap[key] : key;
+        expanded[originalKey] = expand(value[key]);
+      });
+      return expanded;
+    }
+    return value;
+  };
+
+  return expand(doc);
+}
+
+/**
+ * Replace shared value references with copies of the values they stand for
+ * @param {string|object} input - JSON text or an already parsed document
+ * @returns {*} The document without the shared value table; input without one is returned as is
+ */
+export function expandJSONValues(input) {
+  const doc = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!isSharedValues(doc)) return doc;
+
+  const table = doc[VALUES_KEY];
+  const resolving = new Set();
+
+  // Every reference gets its own copy, so the expanded document can be edited safely
+  const expand = value => {
+    if (typeof value === 'string') {
+      if (value.startsWith('$$')) return value.slice(1);
+      if (!REFERENCE_PATTERN.test(value)) return value;
+
+      const index = parseInt(value.slice(1), 36);
+      if (index >= table.length) {
+        throw new Error(`Shared value reference ${value} is out of range`);
+      }
+      if (resolving.has(index)) {
+        throw new Error(`Shared value reference ${value} refers to itself`);
+      }
+      resolving.add(index);
+      const resolved = expand(table[index]);
+      resolving.delete(index);
+      return resolved;
+    }
+    if (Array.isArray(value)) {
+      return value.map(expand);
+    }
+    if (isPlainObject(value)) {
+      const expanded = {};
+      Object.keys(value).forEach(key => {
+        expanded[key] = expand(value[key]);
+      });
+      return expanded;
+    }
+    return value;
+  };
+
+  return expand(doc[DATA_KEY]);
+}
+
+/**
+ * Check whether a document is a shared value table with its document
+ */
+export function isSharedValues(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length === 2 &&
+    Array.isArray(value[VALUES_KEY]) &&
+    Object.prototype.hasOwnProperty.call(value, DATA_KEY);
+}
+
+/**
+ * Expand self-describing NDJSON, whose first line holds the key map as { "$keys": { ... } }
+ * @param {string} text - NDJSON text
+ * @returns {Array} One expanded document per line
+ */
+export function expandJSONLines(text) {
+  const docs = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  const first = docs[0];
+
+  if (isPlainObject(first) && Object.keys(first).length === 1 && isPlainObject(first[KEY_MAP_KEY])) {
+    return docs.slice(1).map(doc => expandJSONKeys({ [KEY_MAP_KEY]: first[KEY_MAP_KEY], [DATA_KEY]: doc }));
+  }
+  return docs.map(doc => expandJSONColumns(doc));
+}
+
+/**
+ * Expand every columnar table in a document back to an array of objects
+ * @param {string|object} input - JSON text or an already parsed document
+ * @returns {*} The document without tables
+ */
+export function expandJSONColumns(input) {
+  const doc = typeof input === 'string' ? JSON.parse(input) : input;
+
+  const expand = value => {
+    if (isColumnTable(value)) {
+      return tableToRecords(value).map(expand);
+    }
+    if (Array.isArray(value)) {
+      return value.map(expand);
+    }
+    if (isPlainObject(value)) {
+      const expanded = {};
+      Object.keys(value).forEach(key => {
+        expanded[key] = expand(value[key]);
+      });
+      return expanded;
+    }
+    return value;
+  };
+
+  return expand(doc);
+}
+
+/**
+ * Check whether a value is a columnar table (an object with exactly "$cols" and "$rows")
+ */
+export function isColumnTable(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length === 2 &&
+    Array.isArray(value[COLUMNS_KEY]) &&
+    Array.isArray(value[ROWS_KEY]);
+}
+
+function tableToRecords(table) {
+  const columns = table[COLUMNS_KEY];
+  return table[ROWS_KEY].map(row => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = row[index];
+    });
+    return record;
+  });
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
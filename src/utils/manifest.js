@@ -0,0 +1,44 @@
+/**
+ * Manifest Builder
+ * Creates the recovery manifest written alongside every compressed file
+ */
+
+import { describeReversibility } from './restore.js';
+
+export const MANIFEST_VERSION = '1.0.0';
+
+/**
+ * Build a manifest for one compressed file
+ * @param {object} params - { fileName, fileType, level, originalSize, result, customOptions, compressedSize }
+ *   where result is the engine output ({ compressed, operations }); compressedSize (bytes) is only
+ *   needed when the output was streamed elsewhere and result.compressed is empty
+ * @returns {object} Manifest
+ */
+export function createManifest({ fileName, fileType, level, originalSize, result, customOptions = {}, compressedSize = getByteSize(result.compressed) }) {
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    original_file: fileName,
+    file_type: fileType,
+    compression_level: level,
+    timestamp: new Date().toISOString(),
+    original_size: originalSize,
+    compressed_size: compressedSize,
+    reduction_percent: ((originalSize - compressedSize) / originalSize * 100).toFixed(2),
+    operations: result.operations || [],
+    custom_options: customOptions,
+    data_loss: level === 'aggressive' ? 'high' : level === 'moderate' ? 'medium' : 'low'
+  };
+
+  const { restorable, lossy } = describeReversibility(manifest);
+  manifest.reversibility = lossy === 0 ? 'full' : restorable > 0 ? 'partial' : 'none';
+
+  return manifest;
+}
+
+/**
+ * Size of a string (or Blob) in UTF-8 bytes
+ */
+export function getByteSize(content) {
+  return new Blob([content]).size;
+}
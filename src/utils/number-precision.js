@@ -0,0 +1,152 @@
+/**
+ * Number Precision
+ * Rounding by significant digits, so precision follows each value's magnitude:
+ * 0.000421837 and 421837.5 both keep their leading digits where a fixed number
+ * of decimals would wipe out the first and barely touch the second.
+ *
+ * Integers that look like identifiers (by key name, or by size) are never rounded,
+ * and numbers are written in exponent notation when that is shorter (1.24e8, 4.2e-4).
+ */
+
+import { parseFieldPath, matchFieldPath } from './field-rules.js';
+
+// Significant digits kept at each level when no option overrides them
+export const LEVEL_SIGNIFICANT_DIGITS = { moderate: 6, aggressive: 3 };
+
+// Keys such as "id", "user_id", "zip-code", "createdAt", "orderID"
+const ID_WORD_PATTERN = /(?:^|[_\-. ])(?:ids?|uuid|guid|key|code|hash|sku|isbn|ean|upc|zip|phone|year|ts|timestamp|epoch|at)$/i;
+const ID_CAMEL_PATTERN = /[a-z\d](?:Ids?|IDs?|Uuid|UUID|Key|Code|Hash|Timestamp|At)$/;
+
+// Integers this large are IDs or timestamps far more often than quantities
+const ID_MAGNITUDE = 1e9;
+
+/**
+ * Settings for a rounding pass
+ * @param {string} lossLevel - 'moderate' or 'aggressive'
+ * @param {object} customOptions - { significantDigits, significantDigitsByPath, protectIds }
+ * @returns {object} { digits, overrides: [{ path, digits, tokens }], protectIds }
+ */
+export function createPrecisionSettings(lossLevel, customOptions = {}) {
+  const levelDigits = LEVEL_SIGNIFICANT_DIGITS[lossLevel];
+  const requested = customOptions.significantDigits ?? levelDigits;
+  validateDigits(requested, 'significantDigits');
+
+  const overrides = Object.entries(customOptions.significantDigitsByPath || {}).map(([path, digits]) => {
+    validateDigits(digits, `significantDigitsByPath ${path}`);
+    return { path, digits, tokens: parseFieldPath(path) };
+  });
+
+  return {
+    // Aggressive never keeps more than its own default; path overrides can
+    digits: lossLevel === 'aggressive' ? Math.min(requested, levelDigits) : requested,
+    overrides,
+    protectIds: customOptions.protectIds !== false
+  };
+}
+
+/**
+ * Check whether an integer looks like an identifier rather than a quantity
+ * @param {string|null} key - Member name holding the value (or the array holding it)
+ */
+export function looksLikeId(key, value) {
+  if (!Number.isInteger(value)) return false;
+  if (Math.abs(value) >= ID_MAGNITUDE) return true;
+  return typeof key === 'string' && (ID_WORD_PATTERN.test(key) || ID_CAMEL_PATTERN.test(key));
+}
+
+/**
+ * Create a rounder that applies the settings and tracks the error it introduces
+ * @returns {object} {
+ *   round(value, key, path) → rounded value,   // path (keys and indices) only needed with overrides
+ *   stats: { count, protectedIds, maxAbsoluteError, maxRelativeError }
+ * }
+ */
+export function createNumberRounder(settings) {
+  const stats = { count: 0, protectedIds: 0, maxAbsoluteError: 0, maxRelativeError: 0 };
+
+  function round(value, key, path) {
+    if (!Number.isFinite(value)) return value;
+
+    const override = settings.overrides.length > 0 && path
+      ? settings.overrides.find(candidate => matchFieldPath(candidate.tokens, path))
+      : null;
+    const rounded = Number(value.toPrecision(override ? override.digits : settings.digits));
+    if (rounded === value) return value;
+
+    if (!override && settings.protectIds && looksLikeId(key, value)) {
+      stats.protectedIds++;
+      return value;
+    }
+
+    const error = Math.abs(rounded - value);
+    stats.count++;
+    stats.maxAbsoluteError = Math.max(stats.maxAbsoluteError, error);
+    stats.maxRelativeError = Math.max(stats.maxRelativeError, error / Math.abs(value));
+    return rounded;
+  }
+
+  return { round, stats };
+}
+
+/**
+ * Manifest operation for a rounding pass, or null when nothing was rounded
+ */
+export function createRoundingOperation(settings, stats) {
+  if (stats.count === 0) return null;
+
+  const operation = {
+    type: 'round_numbers',
+    significantDigits: settings.digits,
+    count: stats.count,
+    maxAbsoluteError: Number(stats.maxAbsoluteError.toPrecision(3)),
+    maxRelativeError: Number(stats.maxRelativeError.toPrecision(3)),
+    reversible: false,
+    impact: 'medium'
+  };
+  if (settings.overrides.length > 0) {
+    operation.overrides = settings.overrides.map(({ path, digits }) => ({ path, digits }));
+  }
+  if (stats.protectedIds > 0) {
+    operation.protectedIds = stats.protectedIds;
+  }
+  return operation;
+}
+
+/**
+ * Shortest JSON spelling of a number: plain or exponent notation
+ * Both parse back to the same value.
+ */
+export function formatNumber(value) {
+  if (!Number.isFinite(value)) return 'null';
+  const plain = String(value).replace('e+', 'e');
+  const exponent = value.toExponential().replace('e+', 'e');
+  return exponent.length < plain.length ? exponent : plain;
+}
+
+/**
+ * JSON.stringify for parsed JSON data, writing numbers with formatNumber
+ */
+export function stringifyJSON(value) {
+  if (typeof value === 'number') {
+    return formatNumber(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => item === undefined ? 'null' : stringifyJSON(item)).join(',')}]`;
+  }
+  if (typeof value === 'object' && value !== null) {
+    const members = [];
+    Object.keys(value).forEach(key => {
+      if (value[key] !== undefined) {
+        members.push(`${JSON.stringify(key)}:${stringifyJSON(value[key])}`);
+      }
+    });
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function validateDigits(digits, name) {
+  if (!Number.isInteger(digits) || digits < 1 || digits > 17) {
+    throw new Error(`${name} must be an integer from 1 to 17`);
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Numeric Column Encodings
+ * Parquet-style encodings for numeric CSV columns, planned per column and exactly
+ * invertible: values are read from their text as scaled integers (12.50 → 1250 at
+ * scale 2), encoded as integers, and decoded back to the same text.
+ *
+ *   for   - frame of reference: offsets from the column minimum
+ *   delta - differences between consecutive values
+ *   dod   - delta of delta: differences between consecutive deltas (regular timestamps → 0s)
+ *   rle   - run length: a repeated value is left empty until it changes (on the original text)
+ *
+ * With packing on, encoded integers are written in base 36 ("bit-packing" for text),
+ * which takes about a third fewer characters and is no longer human-readable.
+ */
+
+export const NUMERIC_ENCODINGS = ['for', 'delta', 'dod', 'rle'];
+
+const PACKING_RADIX = 36;
+
+/**
+ * Pick the smallest exact encoding for a column
+ * @param {Array<string>} values - Field text of every row
+ * @param {object} options - { pack, runLength }: write integers in base 36; allow run length,
+ *   which leaves fields empty (off for a column that is alone in its table, where an empty
+ *   field is a blank line)
+ * @returns {object|null} null when no encoding is smaller, otherwise {
+ *   encoding, saving, encoded: Array<string>,
+ *   plan: { encoding, scale?, format?, reference?, base?, radix? }   // What decoding needs
+ * }
+ */
+export function planNumericColumn(values, { pack = false, runLength = true } = {}) {
+  if (values.length < 2) return null;
+
+  const original = values.reduce((sum, value) => sum + value.length, 0);
+  const candidates = [];
+
+  const rle = runLength && encodeRunLength(values);
+  if (rle) {
+    candidates.push({ plan: { encoding: 'rle' }, encoded: rle });
+  }
+
+  const scaled = readScaledIntegers(values);
+  if (scaled) {
+    const radix = pack ? PACKING_RADIX : 10;
+    const common = { scale: scaled.scale, format: scaled.format, ...(pack ? { radix } : {}) };
+    const write = numbers => numbers.every(Number.isSafeInteger) ? numbers.map(n => n.toString(radix)) : null;
+
+    const reference = scaled.numbers.reduce((a, b) => Math.min(a, b));
+    const offsets = write(scaled.numbers.map(n => n - reference));
+    if (offsets) {
+      candidates.push({ plan: { encoding: 'for', ...common, reference }, encoded: offsets });
+    }
+
+    const deltas = scaled.numbers.map((n, i) => i === 0 ? n : n - scaled.numbers[i - 1]);
+    const deltaText = write(deltas);
+    if (deltaText) {
+      candidates.push({ plan: { encoding: 'delta', ...common, base: scaled.numbers[0] }, encoded: deltaText });
+    }
+
+    if (values.length >= 3) {
+      const dods = deltas.map((d, i) => i < 2 ? d : d - deltas[i - 1]);
+      const dodText = write(dods);
+      if (dodText) {
+        candidates.push({ plan: { encoding: 'dod', ...common, base: scaled.numbers[0] }, encoded: dodText });
+      }
+    }
+  }
+
+  let best = null;
+  candidates.forEach(candidate => {
+    const length = candidate.encoded.reduce((sum, value) => sum + value.length, 0) +
+      getEncodingSuffix(candidate.plan.encoding).length;
+    const saving = original - length;
+    if (saving > 0 && (!best || saving > best.saving)) {
+      best = { encoding: candidate.plan.encoding, saving, encoded: candidate.encoded, plan: candidate.plan };
+    }
+  });
+  return best;
+}
+
+/**
+ * Decode a column's values with the plan it was encoded with
+ * @throws When the first value is not the recorded base (rows were removed after encoding)
+ */
+export function decodeNumericColumn(values, plan) {
+  if (plan.encoding === 'rle') {
+    let previous = '';
+    return values.map(value => (previous = value === '' ? previous : value));
+  }
+
+  const radix = plan.radix || 10;
+  const numbers = values.map(value => parseInt(value, radix));
+  if (numbers.some(Number.isNaN)) {
+    throw new Error(`Column holds values that are not ${plan.encoding} codes`);
+  }
+
+  let decoded;
+  if (plan.encoding === 'for') {
+    decoded = numbers.map(n => n + plan.reference);
+  } else {
+    if (plan.base !== undefined && numbers.length > 0 && numbers[0] !== plan.base) {
+      throw new Error(`Column does not start with its ${plan.encoding} base; rows were removed after encoding`);
+    }
+    decoded = [];
+    let delta = 0;
+    numbers.forEach((n, i) => {
+      if (i === 0) {
+        decoded.push(n);
+        return;
+      }
+      delta = plan.encoding === 'dod' && i >= 2 ? delta + n : n;
+      decoded.push(decoded[i - 1] + delta);
+    });
+  }
+
+  return decoded.map(n => formatScaledInteger(n, plan.scale, plan.format));
+}
+
+/**
+ * Header suffix that marks a column's encoding ("ts(dod)")
+ */
+export function getEncodingSuffix(encoding) {
+  return `(${encoding})`;
+}
+
+/**
+ * Read a column as integers at a common scale, if its text can be rebuilt exactly:
+ * every value is written with the same number of decimals ("fixed", as the rounding
+ * pass writes them), or as JavaScript writes numbers ("plain": 1.5, 100, -0.25)
+ * @returns {object|null} { numbers, scale, format }
+ */
+function readScaledIntegers(values) {
+  const parts = [];
+  for (const value of values) {
+    const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(value);
+    if (!match) return null;
+    parts.push({ negative: match[1] === '-', whole: match[2], fraction: match[3] || '' });
+  }
+
+  const fixedDecimals = parts[0].fraction.length;
+  let format = null;
+  if (values.every(value => Number(value).toFixed(fixedDecimals) === value)) {
+    format = 'fixed';
+  } else if (values.every(value => String(Number(value)) === value)) {
+    format = 'plain';
+  } else {
+    return null;
+  }
+
+  const scale = parts.reduce((max, part) => Math.max(max, part.fraction.length), 0);
+  const numbers = parts.map(part => {
+    const magnitude = Number(part.whole + part.fraction.padEnd(scale, '0'));
+    return part.negative ? -magnitude : magnitude;
+  });
+  return numbers.every(Number.isSafeInteger) ? { numbers, scale, format } : null;
+}
+
+function formatScaledInteger(number, scale, format) {
+  const digits = String(Math.abs(number)).padStart(scale + 1, '0');
+  let text = scale > 0 ? `${digits.slice(0, -scale)}.${digits.slice(-scale)}` : digits;
+  if (format === 'plain' && scale > 0) {
+    text = text.replace(/\.?0+$/, '');
+  }
+  return number < 0 ? `-${text}` : text;
+}
+
+function encodeRunLength(values) {
+  if (values.some(value => value === '')) return null; // Empty already means "same as above"
+  return values.map((value, i) => i > 0 && value === values[i - 1] ? '' : value);
+}
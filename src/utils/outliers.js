@@ -0,0 +1,76 @@
+/**
+ * Outlier Rules
+ * Fences for numeric columns, beyond which values count as outliers:
+ *
+ *   zscore     - mean ± threshold standard deviations (default 2)
+ *   iqr        - Tukey's fences: Q1 - threshold·IQR and Q3 + threshold·IQR (default 1.5)
+ *   percentile - the threshold percentile at each end (default 1: P1 and P99)
+ *
+ * The CSV engine drops the rows outside a column's fences, or clips (winsorizes)
+ * their values to the nearest fence.
+ */
+
+export const OUTLIER_METHODS = ['zscore', 'iqr', 'percentile'];
+
+export const OUTLIER_ACTIONS = ['drop', 'clip'];
+
+export const DEFAULT_OUTLIER_THRESHOLDS = { zscore: 2, iqr: 1.5, percentile: 1 };
+
+/**
+ * Compute a column's fences
+ * @param {Array<number>} values - The column's numbers
+ * @param {string} method - One of OUTLIER_METHODS
+ * @param {number} threshold - See DEFAULT_OUTLIER_THRESHOLDS
+ * @returns {object} { lower, upper }
+ */
+export function getOutlierFences(values, method, threshold) {
+  switch (method) {
+    case 'iqr': {
+      const sorted = [...values].sort((a, b) => a - b);
+      const q1 = quantile(sorted, 0.25);
+      const q3 = quantile(sorted, 0.75);
+      return { lower: q1 - threshold * (q3 - q1), upper: q3 + threshold * (q3 - q1) };
+    }
+    case 'percentile': {
+      const sorted = [...values].sort((a, b) => a - b);
+      return { lower: quantile(sorted, threshold / 100), upper: quantile(sorted, 1 - threshold / 100) };
+    }
+    default: {
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const stdDev = Math.sqrt(values.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / values.length);
+      return { lower: mean - threshold * stdDev, upper: mean + threshold * stdDev };
+    }
+  }
+}
+
+/**
+ * Check a rule's method, action and threshold, filling in the defaults
+ * @param {object} rule - { method, threshold, action }, any of them missing
+ * @param {object} thresholds - Threshold per method for rules without one
+ * @returns {object} { method, threshold, action }
+ */
+export function resolveOutlierRule({ method = 'zscore', threshold = null, action = 'drop' } = {}, thresholds = {}) {
+  if (!OUTLIER_METHODS.includes(method)) {
+    throw new Error(`Unknown outlier method "${method}" (expected ${OUTLIER_METHODS.join(', ')})`);
+  }
+  if (!OUTLIER_ACTIONS.includes(action)) {
+    throw new Error(`Unknown outlier action "${action}" (expected ${OUTLIER_ACTIONS.join(', ')})`);
+  }
+
+  const value = threshold ?? thresholds[method] ?? DEFAULT_OUTLIER_THRESHOLDS[method];
+  if (typeof value !== 'number' || !(value >= 0) || (method === 'percentile' && value >= 50)) {
+    throw new Error(`Invalid ${method} outlier threshold ${value}` +
+      (method === 'percentile' ? ' (expected a percentage below 50)' : ' (expected a number of at least 0)'));
+  }
+  return { method, threshold: value, action };
+}
+
+/**
+ * Quantile of sorted numbers, interpolating between the closest ranks
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
@@ -0,0 +1,109 @@
+/**
+ * Plugin Registry
+ * Adds file types, engines, options and operations at runtime so in-house
+ * formats don't need a fork. The web app, worker pool, CLI and library all
+ * read from the same registries, so a registered plugin shows up everywhere.
+ *
+ * Plugin shape (a module's default export, or a `plugin` named export):
+ *
+ *   {
+ *     name: 'toml',
+ *     fileTypes: {
+ *       TOML: {
+ *         extensions: ['toml'],
+ *         engine: async (content, level, options) => ({ compressed, operations, originalSize, compressedSize }),
+ *         options: { stripComments: { default: true, impact: 'low', description: '...', reversible: false } },
+ *         restoreHandlers: { parse, serialize, operations: { ... } }      // optional
+ *       }
+ *     },
+ *     operations: [
+ *       {
+ *         fileType: 'JSON',
+ *         type: 'remove_private_keys',
+ *         option: 'removePrivateKeys',
+ *         schema: { default: false, impact: 'high', description: '...', reversible: false },
+ *         stage: 'before',                                               // optional, default 'after'
+ *         levels: ['moderate', 'aggressive'],                            // optional
+ *         apply: async (content, { level, options }) => ({ content, count })
+ *       }
+ *     ]
+ *   }
+ */
+
+import { registerEngine, registerOperation } from '../compression/engines.js';
+import { registerOptions } from './compression-options.js';
+import { registerFileType } from './file-type-detector.js';
+import { registerRestoreHandlers } from './restore.js';
+
+const plugins = new Map();
+const loadedUrls = new Map();
+
+/**
+ * Register a plugin
+ * @param {object} plugin - See the shape above
+ * @returns {object} The plugin
+ */
+export function registerPlugin(plugin) {
+  if (!plugin?.name) {
+    throw new Error('Plugin needs a name');
+  }
+  if (plugins.has(plugin.name)) {
+    return plugins.get(plugin.name);
+  }
+
+  Object.entries(plugin.fileTypes || {}).forEach(([fileType, definition]) => {
+    if (definition.engine) {
+      registerEngine(fileType, definition.engine);
+    }
+    if (definition.extensions) {
+      registerFileType(fileType, definition.extensions);
+    }
+    if (definition.options) {
+      registerOptions(fileType, definition.options);
+    }
+    if (definition.restoreHandlers) {
+      registerRestoreHandlers(fileType, definition.restoreHandlers);
+    }
+  });
+
+  (plugin.operations || []).forEach(operation => {
+    if (!operation.fileType) {
+      throw new Error(`Operation ${operation.type} in plugin ${plugin.name} needs a fileType`);
+    }
+    if (operation.option && operation.schema) {
+      registerOptions(operation.fileType, { [operation.option]: operation.schema });
+    }
+    registerOperation(operation.fileType, operation);
+  });
+
+  plugins.set(plugin.name, plugin);
+  return plugin;
+}
+
+/**
+ * Import a plugin module and register it (once per URL)
+ * @param {string} url - Module URL or path, as accepted by dynamic import()
+ * @returns {Promise<object>} The plugin
+ */
+export function loadPlugin(url) {
+  if (!loadedUrls.has(url)) {
+    loadedUrls.set(url, import(/* @vite-ignore */ url).then(module => {
+      const plugin = module.default || module.plugin;
+      if (!plugin) {
+        throw new Error(`${url} does not export a plugin`);
+      }
+      return registerPlugin(plugin);
+    }).catch(error => {
+      loadedUrls.delete(url);
+      throw error;
+    }));
+  }
+  return loadedUrls.get(url);
+}
+
+/**
+ * List registered plugin names
+ */
+export function getRegisteredPlugins() {
+  return [...plugins.keys()];
+}
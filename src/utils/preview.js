@@ -3,51 +3,48 @@
  * Runs compression at all levels and returns preview data
  */
 
-import { compressJSON } from '../compression/json.js';
-import { compressCSV } from '../compression/csv.js';
-import { compressJavaScript } from '../compression/javascript.js';
-import { compressHTML, compressCSS } from '../compression/html-css.js';
-import { compressSQL } from '../compression/sql.js';
-import { compressSVG } from '../compression/svg.js';
-import { compressXML, compressYAML } from '../compression/xml-yaml.js';
-import { compressText } from '../compression/text.js';
-
-const compressionEngines = {
-  JSON: compressJSON,
-  CSV: compressCSV,
-  JavaScript: compressJavaScript,
-  HTML: compressHTML,
-  CSS: compressCSS,
-  SQL: compressSQL,
-  SVG: compressSVG,
-  XML: compressXML,
-  YAML: compressYAML,
-  Text: compressText,
-  Markdown: compressText
-};
+import { compressionEngines } from '../compression/engines.js';
+import { getCompressionPool, isAbortError } from './worker-pool.js';
+import { getOptionsForFileType } from './compression-options.js';
+import { getByteSize } from './manifest.js';
+import { profileCSV } from './csv-profile.js';
+
+const LEVELS = ['minimal', 'moderate', 'aggressive'];
 
 /**
  * Analyze a file and return compression preview for all levels
+ * The three levels run in parallel on the compression worker pool.
  * @param {string} content - File content
  * @param {string} fileType - File type (JSON, CSV, etc.)
  * @param {object} customOptions - Custom compression options
- * @returns {Promise<object>} Preview data with results for minimal/moderate/aggressive
+ * @param {object} controls - { signal: AbortSignal, onProgress: ({ level, stage, completed, total }) => void }
+ * @returns {Promise<object>} Preview data with results for minimal/moderate/aggressive,
+ *   and for CSV a profile of each column (see csv-profile.js)
  */
-export async function analyzeFile(content, fileType, customOptions = {}) {
-  const compressFunc = compressionEngines[fileType];
-
-  if (!compressFunc) {
+export async function analyzeFile(content, fileType, customOptions = {}, { signal, onProgress } = {}) {
+  if (!compressionEngines[fileType]) {
     throw new Error(`Unsupported file type: ${fileType}`);
   }
 
   const originalSize = new Blob([content]).size;
+  const pool = getCompressionPool();
+  let completed = 0;
 
   // Run compression at all three levels
   const results = {};
 
-  for (const level of ['minimal', 'moderate', 'aggressive']) {
+  await Promise.all(LEVELS.map(async level => {
     try {
-      const result = await compressFunc(content, level, customOptions);
+      const result = await pool.run(
+        { fileType, content, level, options: customOptions },
+        {
+          signal,
+          onProgress: ({ stage }) => {
+            if (stage === 'done') completed++;
+            onProgress?.({ level, stage, completed, total: LEVELS.length });
+          }
+        }
+      );
 
       results[level] = {
         size: result.compressedSize,
@@ -57,6 +54,8 @@ export async function analyzeFile(content, fileType, customOptions = {}) {
         compressed: result.compressed
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
+
       results[level] = {
         size: originalSize,
         sizeFormatted: formatBytes(originalSize),
@@ -65,7 +64,7 @@ export async function analyzeFile(content, fileType, customOptions = {}) {
         error: error.message
       };
     }
-  }
+  }));
 
   // Determine which levels are effective (>5% reduction)
   const effectiveLevels = {
@@ -88,6 +87,7 @@ export async function analyzeFile(content, fileType, customOptions = {}) {
     originalSize,
     originalSizeFormatted: formatBytes(originalSize),
     results,
+    profile: fileType === 'CSV' ? profileCSV(content, customOptions) : null,
     recommendation: {
       level: recommendedLevel,
       effectiveLevels,
@@ -96,6 +96,137 @@ export async function analyzeFile(content, fileType, customOptions = {}) {
   };
 }
 
+/**
+ * Find the least lossy configuration that meets a size goal
+ *
+ * Greedy search: starting at the minimal level with every on/off option disabled,
+ * low and medium impact options are enabled one at a time - low before medium,
+ * reversible before lossy - and kept only if they make the output smaller. When no
+ * more options help, the search moves to the next level with the options enabled
+ * so far. Only when the aggressive level still misses the goal are high impact
+ * options tried, the same way. It stops at the first configuration that meets the goal.
+ *
+ * Options marked `searchable: false` (modes that replace data or change the output
+ * format, options that only work with other settings) are never enabled. A candidate
+ * that fails to compress counts as no gain.
+ *
+ * @param {string} content - File content
+ * @param {string} fileType - File type (JSON, CSV, etc.)
+ * @param {object} target - { maxBytes } and/or { minReduction } (percent)
+ * @param {object} fixedOptions - Options the search must keep as they are (e.g. set explicitly by the user)
+ * @param {object} controls - { signal: AbortSignal, onProgress: ({ attempts, level, option }) => void }
+ * @returns {Promise<object>} {
+ *   met: boolean,             // false when even the most lossy configuration misses the goal
+ *   level, options,           // Configuration to compress with
+ *   enabledOptions,           // [{ key, impact, reversible, description }] options the goal required
+ *   size, reduction, operations, compressed,
+ *   attempts                  // Number of compressions run
+ * }
+ */
+export async function findTargetConfiguration(content, fileType, target, fixedOptions = {}, { signal, onProgress } = {}) {
+  if (!compressionEngines[fileType]) {
+    throw new Error(`Unsupported file type: ${fileType}`);
+  }
+  if (!target || (!(target.maxBytes > 0) && !(target.minReduction > 0))) {
+    throw new Error('Target needs maxBytes or minReduction');
+  }
+
+  const originalSize = getByteSize(content);
+  const schema = getOptionsForFileType(fileType);
+  const pool = getCompressionPool();
+  const impactRank = { low: 0, medium: 1, high: 2 };
+
+  // On/off options, least lossy first
+  const toggles = Object.entries(schema)
+    .filter(([key, option]) => typeof option.default === 'boolean' && option.searchable !== false && !(key in fixedOptions))
+    .sort(([, a], [, b]) =>
+      (impactRank[a.impact] ?? 1) - (impactRank[b.impact] ?? 1) ||
+      Number(Boolean(b.reversible)) - Number(Boolean(a.reversible)))
+    .map(([key]) => key);
+  const highImpact = toggles.filter(key => schema[key].impact === 'high');
+  const lowImpact = toggles.filter(key => schema[key].impact !== 'high');
+
+  const meetsTarget = size =>
+    (!(target.maxBytes > 0) || size <= target.maxBytes) &&
+    (!(target.minReduction > 0) || (originalSize - size) / originalSize * 100 >= target.minReduction);
+
+  let attempts = 0;
+  let lastError = null;
+  const evaluate = async (level, options, option) => {
+    attempts++;
+    onProgress?.({ attempts, level, option });
+    let result;
+    try {
+      result = await pool.run({ fileType, content, level, options }, { signal });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      lastError = error;
+      return null;
+    }
+    const size = getByteSize(result.compressed);
+    return {
+      level,
+      options,
+      size,
+      reduction: (originalSize - size) / originalSize * 100,
+      operations: result.operations || [],
+      compressed: result.compressed
+    };
+  };
+
+  const enabled = new Set();
+  const optionsFor = () => ({ ...fixedOptions, ...Object.fromEntries(toggles.map(key => [key, enabled.has(key)])) });
+  let best = null;
+
+  const finish = (candidate, met) => ({
+    met,
+    ...candidate,
+    enabledOptions: toggles.filter(key => candidate.options[key]).map(key => ({
+      key,
+      impact: schema[key].impact,
+      reversible: Boolean(schema[key].reversible),
+      description: schema[key].description
+    })),
+    attempts
+  });
+
+  // Enable whichever of keys make the output smaller at this level
+  const search = async (level, keys) => {
+    let current = await evaluate(level, optionsFor(), null);
+    if (!current) return null;
+    if (!best || current.size < best.size) best = current;
+    if (meetsTarget(current.size)) return current;
+
+    for (const key of keys) {
+      if (enabled.has(key)) continue;
+
+      enabled.add(key);
+      const candidate = await evaluate(level, optionsFor(), key);
+
+      if (candidate && candidate.size < current.size) {
+        current = candidate;
+        if (current.size < best.size) best = current;
+        if (meetsTarget(current.size)) return current;
+      } else {
+        enabled.delete(key); // No gain at this level, keep the output less lossy
+      }
+    }
+    return null;
+  };
+
+  for (const level of LEVELS) {
+    const met = await search(level, lowImpact);
+    if (met) return finish(met, true);
+  }
+  if (highImpact.length > 0) {
+    const met = await search(LEVELS[LEVELS.length - 1], highImpact);
+    if (met) return finish(met, true);
+  }
+
+  if (!best) throw lastError;
+  return finish(best, false);
+}
+
 /**
  * Get recommendation reason based on results
  */
@@ -0,0 +1,259 @@
+/**
+ * PII Redaction
+ * Finds e-mail addresses, phone numbers, IP addresses, credit-card-like numbers
+ * and API-key-shaped strings in text and replaces them, so compressed samples can
+ * be shared outside the team. Shared by the JSON, NDJSON, CSV, YAML and Text engines;
+ * each engine decides what a location is (JSON Pointer, CSV row and column, line).
+ *
+ * Modes:
+ *   mask - hide the characters, keeping separators, an e-mail's domain and the
+ *          last 4 digits of card and phone numbers (j***@example.com, ************1111)
+ *   hash - a deterministic token per value (email_5d41402abc4b2), so joins still work
+ *   fake - a realistic stand-in per value (user1@example.com, 192.0.2.1), also consistent
+ *   drop - remove the value
+ */
+
+export const PII_TYPES = ['email', 'phone', 'ip', 'creditCard', 'apiKey'];
+
+export const REDACTION_MODES = ['mask', 'hash', 'fake', 'drop'];
+
+// Detectors, most specific first; a match never overlaps an earlier type's match
+const DETECTORS = [
+  {
+    type: 'apiKey',
+    pattern: new RegExp([
+      /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}\b/.source, // Stripe-style
+      /\bAKIA[0-9A-Z]{16}\b/.source,                            // AWS access key
+      /\bgh[pousr]_[A-Za-z0-9]{36,}\b/.source,                  // GitHub
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}/.source,                  // Slack
+      /\bAIza[0-9A-Za-z_-]{35}\b/.source,                       // Google
+      /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/.source, // JWT
+      /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[a-z])(?=[A-Za-z0-9_-]*[A-Z])[A-Za-z0-9_-]{32,}\b/.source // Long mixed tokens
+    ].join('|'), 'g')
+  },
+  {
+    type: 'email',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  {
+    type: 'creditCard',
+    pattern: /(?<![\d.-])\d(?:[ -]?\d){12,18}(?![\d.-])/g,
+    accept: match => passesLuhn(match.replace(/\D/g, ''))
+  },
+  {
+    type: 'ip',
+    pattern: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?![\d.])|\b(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}\b/g
+  },
+  {
+    type: 'phone',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?|\d{1,4}[ .-])\d{3,4}[ .-]\d{3,4}(?![\w])|\+\d{8,15}\b/g,
+    accept: match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15;
+    }
+  }
+];
+
+/**
+ * Read the redaction settings from engine options
+ * @returns {object|null} { mode, types, salt }, or null when redaction is off
+ */
+export function getRedactionSettings(customOptions = {}) {
+  if (!customOptions.redactPII) return null;
+
+  const mode = customOptions.redactMode || 'mask';
+  if (!REDACTION_MODES.includes(mode)) {
+    throw new Error(`Unknown redaction mode "${mode}" (expected ${REDACTION_MODES.join(', ')})`);
+  }
+  const types = customOptions.redactTypes?.length ? customOptions.redactTypes : PII_TYPES;
+  types.forEach(type => {
+    if (!PII_TYPES.includes(type)) {
+      throw new Error(`Unknown PII type "${type}" (expected ${PII_TYPES.join(', ')})`);
+    }
+  });
+
+  return { mode, types, salt: customOptions.redactSalt || '' };
+}
+
+/**
+ * Create a redactor that remembers its hits and, in fake mode, which stand-in each value got
+ * @param {object} settings - From getRedactionSettings
+ * @returns {object} { redact(text, location) → text, redactName(text, location) → text,
+ *   hits: [{ ...location, type }] }. Locations with a line also get the column of each match.
+ */
+export function createRedactor(settings) {
+  const detectors = DETECTORS.filter(detector => settings.types.includes(detector.type));
+  const fakes = {};
+  const hits = [];
+
+  const replace = (type, value, mode = settings.mode) => {
+    switch (mode) {
+      case 'hash':
+        return `${type}_${hashString(settings.salt + value)}`;
+      case 'fake': {
+        const known = (fakes[type] = fakes[type] || new Map());
+        if (!known.has(value)) known.set(value, fakeValue(type, known.size + 1));
+        return known.get(value);
+      }
+      case 'drop':
+        return '';
+      default:
+        return maskValue(type, value);
+    }
+  };
+
+  function findMatches(text) {
+    const matches = [];
+    detectors.forEach(detector => {
+      for (const match of text.matchAll(detector.pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (detector.accept && !detector.accept(match[0])) continue;
+        if (matches.some(other => start < other.end && end > other.start)) continue;
+        matches.push({ type: detector.type, start, end, value: match[0] });
+      }
+    });
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
+  function replaceMatches(text, matches, mode) {
+    let result = '';
+    let position = 0;
+    matches.forEach(match => {
+      result += text.slice(position, match.start) + replace(match.type, match.value, mode);
+      position = match.end;
+    });
+    return result + text.slice(position);
+  }
+
+  function redact(text, location = {}) {
+    if (typeof text !== 'string' || text === '') return text;
+
+    const matches = findMatches(text);
+    matches.forEach(match => {
+      hits.push('line' in location
+        ? { ...location, column: match.start + 1, type: match.type }
+        : { ...location, type: match.type });
+    });
+    return matches.length > 0 ? replaceMatches(text, matches, settings.mode) : text;
+  }
+
+  /**
+   * Redact PII in a name: an object key, or a key in a reported path
+   * A name cannot be dropped without what it names, so drop mode masks it instead.
+   * @param {string} text
+   * @param {object} location - Where to report hits; nothing is recorded without one
+   */
+  function redactName(text, location = null) {
+    const matches = findMatches(text);
+    if (location) {
+      matches.forEach(match => hits.push({ ...location, type: match.type }));
+    }
+    return matches.length > 0 ? replaceMatches(text, matches, settings.mode === 'drop' ? 'mask' : settings.mode) : text;
+  }
+
+  return { redact, redactName, hits };
+}
+
+/**
+ * Manifest operation for a redactor's hits, or null when nothing was found
+ */
+export function createRedactionOperation(settings, redactor) {
+  if (redactor.hits.length === 0) return null;
+
+  const types = {};
+  redactor.hits.forEach(hit => {
+    types[hit.type] = (types[hit.type] || 0) + 1;
+  });
+
+  return {
+    type: 'redact_pii',
+    mode: settings.mode,
+    count: redactor.hits.length,
+    types,
+    hits: redactor.hits,
+    reversible: false,
+    impact: 'high'
+  };
+}
+
+function maskValue(type, value) {
+  if (type === 'email') {
+    // The first character of the local part stays when there are enough others to hide
+    const at = value.lastIndexOf('@');
+    return at >= 3 ? value[0] + '*'.repeat(at - 1) + value.slice(at) : '*'.repeat(at) + value.slice(at);
+  }
+
+  // Card and phone numbers keep their last 4 digits
+  let keep = type === 'creditCard' || type === 'phone' ? 4 : 0;
+  const characters = value.split('');
+  for (let i = characters.length - 1; i >= 0; i--) {
+    if (!/[A-Za-z0-9]/.test(characters[i])) continue;
+    if (keep > 0) {
+      keep--;
+    } else {
+      characters[i] = '*';
+    }
+  }
+  return characters.join('');
+}
+
+/**
+ * Stand-in values from documentation and test ranges
+ */
+function fakeValue(type, n) {
+  switch (type) {
+    case 'email':
+      return `user${n}@example.com`;
+    case 'phone':
+      return `+1-555-${String(99 + n).padStart(4, '0')}`;
+    case 'ip': {
+      const blocks = ['192.0.2', '198.51.100', '203.0.113'];
+      if (n <= blocks.length * 254) {
+        return `${blocks[Math.floor((n - 1) / 254)]}.${(n - 1) % 254 + 1}`;
+      }
+      return `10.${(n >> 16) & 255}.${(n >> 8) & 255}.${n & 255}`;
+    }
+    case 'creditCard': {
+      const body = `400000${String(n).padStart(9, '0')}`;
+      return body + luhnCheckDigit(body);
+    }
+    default:
+      return `fake_api_key_${n}`;
+  }
+}
+
+function passesLuhn(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  return luhnCheckDigit(digits.slice(0, -1)) === digits[digits.length - 1];
+}
+
+function luhnCheckDigit(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    let digit = Number(body[body.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * 53-bit string hash (cyrb53) as hex: deterministic and fast, but not cryptographic,
+ * so values that can be guessed should be hashed with a secret salt
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
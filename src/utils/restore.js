@@ -0,0 +1,127 @@
+/**
+ * Restore Utility
+ * Undoes the reversible operations recorded in a compression manifest
+ */
+
+import { jsonRestoreHandlers } from '../compression/json.js';
+import { ndjsonRestoreHandlers } from '../compression/ndjson.js';
+import { csvRestoreHandlers } from '../compression/csv.js';
+import { xmlRestoreHandlers, yamlRestoreHandlers } from '../compression/xml-yaml.js';
+import { detectFileType } from './file-type-detector.js';
+
+// File types whose reversible operations need an inverse transform.
+// Reversible operations of every other type (doctype normalization, color
+// shortening, boolean literals, ...) produce an equivalent document already.
+const restoreHandlers = {
+  JSON: jsonRestoreHandlers,
+  NDJSON: ndjsonRestoreHandlers,
+  CSV: csvRestoreHandlers,
+  XML: xmlRestoreHandlers,
+  YAML: yamlRestoreHandlers
+};
+
+/**
+ * Register inverse transforms for a file type (used by plugins)
+ * @param {string} fileType - File type name
+ * @param {object} handlers - { parse, serialize, operations: { [type]: (data, operation) => data } }
+ */
+export function registerRestoreHandlers(fileType, handlers) {
+  if (typeof handlers?.parse !== 'function' || typeof handlers.serialize !== 'function') {
+    throw new Error(`Restore handlers for ${fileType} need parse and serialize functions`);
+  }
+  restoreHandlers[fileType] = { operations: {}, ...handlers };
+}
+
+/**
+ * Restore a compressed file using its manifest
+ * @param {string} compressed - Compressed file content
+ * @param {object} manifest - Manifest produced alongside the compressed file
+ * @returns {Promise<object>} { restored, fileType, operations } where each operation
+ *   entry is { type, status, reason? } and status is one of
+ *   'restored' | 'equivalent' | 'lossy' | 'failed'
+ */
+export async function restore(compressed, manifest) {
+  if (!manifest || !Array.isArray(manifest.operations)) {
+    throw new Error('Invalid manifest: missing operations list');
+  }
+
+  const fileType = getManifestFileType(manifest);
+  const handlers = restoreHandlers[fileType];
+  const operations = manifest.operations;
+  const report = operations.map(operation => ({
+    type: operation.type,
+    status: getRestoreStatus(fileType, operation)
+  }));
+
+  if (!handlers) {
+    return { restored: compressed, fileType, operations: report };
+  }
+
+  let data;
+  try {
+    data = handlers.parse(compressed);
+  } catch (error) {
+    throw new Error(`Could not read compressed ${fileType}: ${error.message}`);
+  }
+
+  // Undo in reverse order so every inverse sees the data as its operation left it
+  for (let i = operations.length - 1; i >= 0; i--) {
+    if (report[i].status !== 'restored') continue;
+
+    try {
+      data = handlers.operations[operations[i].type](data, operations[i]);
+    } catch (error) {
+      report[i].status = 'failed';
+      report[i].reason = error.message;
+    }
+  }
+
+  return {
+    restored: handlers.serialize(data),
+    fileType,
+    operations: report
+  };
+}
+
+/**
+ * Summarize how much of a manifest the restore tool can undo
+ * @param {object} manifest - Compression manifest
+ * @returns {object} { restorable, lossy, total } operation counts
+ */
+export function describeReversibility(manifest) {
+  const fileType = getManifestFileType(manifest);
+  const operations = manifest?.operations || [];
+  const lossy = operations.filter(op => getRestoreStatus(fileType, op) === 'lossy').length;
+
+  return {
+    restorable: operations.length - lossy,
+    lossy,
+    total: operations.length
+  };
+}
+
+/**
+ * Determine how an operation will be handled by restore()
+ */
+function getRestoreStatus(fileType, operation) {
+  if (!operation.reversible) {
+    return 'lossy';
+  }
+
+  const handlers = restoreHandlers[fileType];
+  if (handlers && handlers.operations[operation.type]) {
+    return 'restored';
+  }
+
+  return 'equivalent';
+}
+
+/**
+ * Resolve the file type a manifest was produced for
+ */
+function getManifestFileType(manifest) {
+  if (manifest?.file_type) {
+    return manifest.file_type;
+  }
+  return detectFileType(manifest?.original_file || '');
+}
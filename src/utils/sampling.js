@@ -0,0 +1,70 @@
+/**
+ * Row Sampling
+ * Seeded sampling that keeps a file's distributions: reservoir sampling picks rows
+ * uniformly wherever they are in the file (sorted files are not biased toward their
+ * start), and stratified sampling picks from each group in proportion, so rare
+ * categories keep at least one row. The same seed always picks the same rows.
+ */
+
+export const SAMPLING_MODES = ['every-nth', 'reservoir', 'stratified'];
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} () → number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick `size` of `count` positions uniformly at random (Algorithm R)
+ * @returns {Array<number>} Picked positions in ascending order
+ */
+export function reservoirSample(count, size, random) {
+  const reservoir = [];
+  for (let i = 0; i < count; i++) {
+    if (i < size) {
+      reservoir.push(i);
+    } else {
+      const j = Math.floor(random() * (i + 1));
+      if (j < size) reservoir[j] = i;
+    }
+  }
+  return reservoir.sort((a, b) => a - b);
+}
+
+/**
+ * Pick positions from each stratum in proportion to its size, at least one from each
+ * @param {Array<string>} keys - Stratum of each position
+ * @param {number} fraction - Share of positions to keep
+ * @param {Function} random - From createRandom
+ * @returns {object} {
+ *   picked: Array<number>,                        // Positions in ascending order
+ *   strata: { [key]: { original, sampled } }      // In order of first appearance
+ * }
+ */
+export function stratifiedSample(keys, fraction, random) {
+  const groups = new Map();
+  keys.forEach((key, position) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(position);
+  });
+
+  const picked = [];
+  const strata = {};
+  groups.forEach((positions, key) => {
+    const size = Math.min(positions.length, Math.max(1, Math.round(positions.length * fraction)));
+    reservoirSample(positions.length, size, random).forEach(i => picked.push(positions[i]));
+    strata[key] = { original: positions.length, sampled: size };
+  });
+
+  return { picked: picked.sort((a, b) => a - b), strata };
+}
@@ -0,0 +1,175 @@
+/**
+ * Time-Series Downsampling
+ * Helpers for thinning time-ordered rows without losing their shape:
+ *
+ *   resample - group rows into fixed intervals of time (buckets) and keep one
+ *              aggregate per bucket: the mean, the rows with the minimum and the
+ *              maximum (so peaks survive), or the last row
+ *   lttb     - Largest-Triangle-Three-Buckets: keep N points, picking from each
+ *              bucket the point that forms the largest triangle with its neighbours,
+ *              so the downsampled line looks like the original
+ *
+ * Reference: Sveinn Steinarsson, "Downsampling Time Series for Visual Representation"
+ * (University of Iceland, 2013)
+ */
+
+export const DOWNSAMPLE_METHODS = ['resample', 'lttb'];
+
+export const RESAMPLE_AGGREGATES = ['mean', 'min-max', 'last'];
+
+const INTERVAL_UNITS = { ms: 1, s: 1000, m: 60000, min: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Numeric columns with these names hold timestamps (epoch seconds or milliseconds)
+const TIMESTAMP_NAME = /^(?:ts|time|timestamp|epoch|datetime)$|(?:_at|_ts|_time)$/i;
+
+// Zone-less ISO timestamps are read as UTC, so output does not depend on the machine's time zone
+const ISO_TIMESTAMP = /^(\d{4}-\d{2}-\d{2})(?:([T ])(\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Parse an interval like 30s, 5m, 1h or 1d
+ * @returns {number} Milliseconds
+ */
+export function parseInterval(text) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|min|m|h|d|w)\s*$/i.exec(String(text));
+  if (!match || parseFloat(match[1]) <= 0) {
+    throw new Error(`Invalid interval "${text}" (expected a number and a unit: ms, s, m, h, d or w, e.g. 5m)`);
+  }
+  return parseFloat(match[1]) * INTERVAL_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Find the timestamp column: the first date column, otherwise the first numeric
+ * column with a timestamp-like name (ts, time, created_at, ...)
+ * @param {Array<object>} columns - Column profiles (see csv-profile.js)
+ * @returns {number} Column index, or -1
+ */
+export function detectTimestampColumn(columns) {
+  const date = columns.find(column => column.type === 'date');
+  if (date) return date.index;
+
+  const named = columns.find(column => (column.type === 'int' || column.type === 'float') && TIMESTAMP_NAME.test(column.name.trim()));
+  return named ? named.index : -1;
+}
+
+/**
+ * Read and write timestamps the way a column writes them
+ * Numbers are epoch seconds, or milliseconds from 10^11 on; ISO dates keep their
+ * separator and time zone; other dates are written back as ISO 8601.
+ * @param {string} sample - A value of the column
+ * @returns {object} { parse(value) → milliseconds or null, format(milliseconds) → string }
+ */
+export function createTimestampFormat(sample) {
+  if (/^[-+]?\d+(?:\.\d+)?$/.test(sample)) {
+    const scale = Math.abs(parseFloat(sample)) < 1e11 ? 1000 : 1;
+    return {
+      parse: value => /^[-+]?\d+(?:\.\d+)?$/.test(value) ? parseFloat(value) * scale : null,
+      format: ms => String(Number((ms / scale).toFixed(3)))
+    };
+  }
+
+  const iso = ISO_TIMESTAMP.exec(sample);
+  if (iso) {
+    const [, , separator = 'T', time, zone = ''] = iso;
+    const offset = zone && zone !== 'Z' ? parseOffset(zone) : 0;
+    return {
+      parse: value => {
+        const match = ISO_TIMESTAMP.exec(value);
+        if (!match) return null;
+        const ms = Date.parse(`${match[1]}T${match[3] || '00:00'}${match[4] || 'Z'}`);
+        return isNaN(ms) ? null : ms;
+      },
+      format: ms => {
+        const text = new Date(ms + offset).toISOString(); // Wall-clock time in the column's zone
+        if (!time) return text.slice(0, 10);
+        const clock = ms % 1000 === 0 ? text.slice(11, 19) : text.slice(11, 23);
+        return `${text.slice(0, 10)}${separator}${clock}${zone}`;
+      }
+    };
+  }
+
+  return {
+    parse: value => {
+      const ms = Date.parse(value);
+      return isNaN(ms) ? null : ms;
+    },
+    format: ms => new Date(ms).toISOString()
+  };
+}
+
+/**
+ * Group times into buckets of a fixed interval
+ * @param {Array<number>} times - Milliseconds, in ascending order
+ * @param {number} interval - Bucket length in milliseconds
+ * @returns {Array<object>} [{ start, positions }] in time order
+ */
+export function bucketByInterval(times, interval) {
+  const buckets = [];
+  times.forEach((time, position) => {
+    const start = Math.floor(time / interval) * interval;
+    const last = buckets[buckets.length - 1];
+    if (last && last.start === start) {
+      last.positions.push(position);
+    } else {
+      buckets.push({ start, positions: [position] });
+    }
+  });
+  return buckets;
+}
+
+/**
+ * Pick `threshold` of the points (x, y) with Largest-Triangle-Three-Buckets
+ * The first and last points are always kept.
+ * @param {Array<number>} xs - In ascending order
+ * @param {Array<number>} ys
+ * @param {number} threshold - Points to keep (at least 3)
+ * @returns {Array<number>} Picked positions in ascending order
+ */
+export function largestTriangleThreeBuckets(xs, ys, threshold) {
+  const count = xs.length;
+  if (threshold >= count) {
+    return xs.map((_, i) => i);
+  }
+
+  const picked = [0];
+  const bucketSize = (count - 2) / (threshold - 2);
+  let previous = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket: the third corner of the triangle
+    const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, count);
+    let averageX = 0;
+    let averageY = 0;
+    for (let i = nextStart; i < nextEnd; i++) {
+      averageX += xs[i];
+      averageY += ys[i];
+    }
+    averageX /= nextEnd - nextStart;
+    averageY /= nextEnd - nextStart;
+
+    // The point of this bucket that makes the largest triangle with the previous pick
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+    let largest = -1;
+    let pick = start;
+    for (let i = start; i < end; i++) {
+      const area = Math.abs((xs[previous] - averageX) * (ys[i] - ys[previous]) - (xs[previous] - xs[i]) * (averageY - ys[previous]));
+      if (area > largest) {
+        largest = area;
+        pick = i;
+      }
+    }
+
+    picked.push(pick);
+    previous = pick;
+  }
+
+  picked.push(count - 1);
+  return picked;
+}
+
+function parseOffset(zone) {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(zone);
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  return (match[1] === '-' ? -minutes : minutes) * 60000;
+}
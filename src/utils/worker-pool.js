@@ -0,0 +1,221 @@
+/**
+ * Worker Pool
+ * Runs compression jobs on dedicated Web Workers so large files never block the UI
+ */
+
+import { runCompression, runStreamingCompression } from '../compression/engines.js';
+import { loadPlugin as loadPluginInline } from './plugins.js';
+
+const MAX_POOL_SIZE = 4;
+
+let compressionPool = null;
+
+/**
+ * Get the shared compression pool, creating it on first use
+ * Falls back to running engines on the main thread where Web Workers are unavailable.
+ */
+export function getCompressionPool() {
+  if (!compressionPool) {
+    compressionPool = typeof Worker === 'undefined'
+      ? createInlinePool()
+      : createWorkerPool(
+        () => new Worker(new URL('../workers/compression-worker.js', import.meta.url), { type: 'module' }),
+        getDefaultPoolSize()
+      );
+  }
+  return compressionPool;
+}
+
+/**
+ * Create a pool of workers that each run one job at a time
+ * @param {Function} createWorker - Factory returning a new Worker
+ * @param {number} size - Maximum number of workers
+ * @returns {object} { run, loadPlugin, size, terminate }
+ */
+export function createWorkerPool(createWorker, size = getDefaultPoolSize()) {
+  const slots = [];
+  const queue = [];
+  const pluginUrls = [];
+  let nextId = 0;
+
+  /**
+   * Queue a compression job
+   * @param {object} task - { fileType, content, level, options }, or { fileType, file, level, options }
+   *   to stream a Blob through the file type's streaming engine. content may be a Blob, which is
+   *   only read once a worker picks up the job.
+   * @param {object} controls - { signal: AbortSignal, onProgress: ({ stage }) => void }, with stages
+   *   queued, started, read (content is a Blob), then parse, compress and serialize as the engine
+   *   reaches them, and done
+   * @returns {Promise<object>} Engine result; rejects with an AbortError when cancelled
+   */
+  function run(task, { signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const job = { id: ++nextId, task, resolve, reject, onProgress, signal, slot: null };
+
+      if (signal) {
+        job.onAbort = () => cancelJob(job);
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      queue.push(job);
+      notify(job, 'queued');
+      dispatch();
+    });
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      const slot = getIdleSlot();
+      if (!slot) return;
+
+      const job = queue.shift();
+      slot.job = job;
+      job.slot = slot;
+      notify(job, 'started');
+      slot.worker.postMessage({ id: job.id, ...job.task });
+    }
+  }
+
+  function getIdleSlot() {
+    const idle = slots.find(slot => !slot.job);
+    if (idle) return idle;
+    if (slots.length >= size) return null;
+
+    const slot = { worker: null, job: null };
+    spawn(slot);
+    slots.push(slot);
+    return slot;
+  }
+
+  /**
+   * Load a plugin module in every worker, current and future
+   * @param {string} url - Absolute module URL
+   */
+  function loadPlugin(url) {
+    if (pluginUrls.includes(url)) return;
+    pluginUrls.push(url);
+    slots.forEach(slot => slot.worker.postMessage({ type: 'load-plugin', url }));
+  }
+
+  function spawn(slot) {
+    slot.worker = createWorker();
+    pluginUrls.forEach(url => slot.worker.postMessage({ type: 'load-plugin', url }));
+    slot.worker.addEventListener('message', event => handleMessage(slot, event.data));
+    slot.worker.addEventListener('error', event => {
+      event.preventDefault?.();
+      const job = slot.job;
+      if (!job) return;
+      // A crashed worker cannot be trusted with the next job
+      slot.worker.terminate();
+      spawn(slot);
+      finish(job, null, new Error(event.message || 'Compression worker failed'));
+    });
+  }
+
+  function handleMessage(slot, message) {
+    const job = slot.job;
+    if (!job || message.id !== job.id) return;
+
+    if (message.type === 'progress') {
+      notify(job, message.stage);
+    } else if (message.type === 'result') {
+      finish(job, message.result, null);
+    } else if (message.type === 'error') {
+      finish(job, null, new Error(message.message));
+    }
+  }
+
+  function cancelJob(job) {
+    const queued = queue.indexOf(job);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+    } else if (job.slot) {
+      // Engines are synchronous inside the worker, so the only way to stop one is to replace it
+      job.slot.worker.terminate();
+      spawn(job.slot);
+    }
+    finish(job, null, createAbortError());
+  }
+
+  function finish(job, result, error) {
+    if (job.slot) {
+      job.slot.job = null;
+      job.slot = null;
+    }
+    if (job.signal && job.onAbort) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+
+    if (error) {
+      job.reject(error);
+    } else {
+      notify(job, 'done');
+      job.resolve(result);
+    }
+    dispatch();
+  }
+
+  function terminate() {
+    queue.splice(0).forEach(job => job.reject(createAbortError()));
+    slots.splice(0).forEach(slot => {
+      slot.worker.terminate();
+      if (slot.job) slot.job.reject(createAbortError());
+    });
+  }
+
+  return { run, loadPlugin, size, terminate };
+}
+
+/**
+ * Check whether an error comes from a cancelled job
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Pool with the same interface that runs jobs on the current thread, one at a time
+ */
+function createInlinePool() {
+  async function run(task, { signal, onProgress } = {}) {
+    if (signal?.aborted) throw createAbortError();
+    onProgress?.({ stage: 'started' });
+    const onStage = stage => onProgress?.({ stage });
+    let result;
+    if (task.file) {
+      result = await runStreamingCompression(task.fileType, () => task.file.stream(), task.level, task.options, null, onStage);
+    } else {
+      let content = task.content;
+      if (typeof content !== 'string') {
+        onStage('read');
+        content = await content.text();
+      }
+      result = await runCompression(task.fileType, content, task.level, task.options, onStage);
+    }
+    if (signal?.aborted) throw createAbortError();
+    onProgress?.({ stage: 'done' });
+    return result;
+  }
+
+  return { run, loadPlugin: url => loadPluginInline(url), size: 1, terminate: () => {} };
+}
+
+function notify(job, stage) {
+  job.onProgress?.({ stage });
+}
+
+function getDefaultPoolSize() {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+  return Math.max(1, Math.min(MAX_POOL_SIZE, (cores || 2) - 1));
+}
+
+function createAbortError() {
+  const error = new Error('Compression cancelled');
+  error.name = 'AbortError';
+  return error;
+}
@@ -0,0 +1,152 @@
+/**
+ * ZIP Archive Writer
+ * Dependency-free ZIP writer: entries are DEFLATE-compressed with the native
+ * CompressionStream where the browser supports it, and stored otherwise.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+const VERSION = 20; // 2.0: DEFLATE and folders
+const MAX_SIZE = 0xffffffff; // No ZIP64 support
+
+let crcTable = null;
+
+/**
+ * Build a ZIP archive
+ * @param {Array<object>} files - [{ name, content }] where content is a string, Uint8Array or Blob
+ * @param {object} options - { compress: true to DEFLATE entries when it makes them smaller }
+ * @returns {Promise<Blob>} The archive
+ */
+export async function createZip(files, { compress = true } = {}) {
+  const encoder = new TextEncoder();
+  const date = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = await toBytes(file.content);
+    const crc = crc32(data);
+
+    let method = METHOD_STORE;
+    let body = data;
+    if (compress && data.length > 0) {
+      const deflated = await deflateRaw(data);
+      if (deflated && deflated.length < data.length) {
+        method = METHOD_DEFLATE;
+        body = deflated;
+      }
+    }
+
+    if (data.length > MAX_SIZE || offset > MAX_SIZE) {
+      throw new Error(`${file.name} is too large for a ZIP archive`);
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, VERSION, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, date.time, true);
+    local.setUint16(12, date.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, VERSION, true);
+    central.setUint16(6, VERSION, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, date.time, true);
+    central.setUint16(14, date.date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, body.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += 30 + name.length + body.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+  if (files.length > 0xffff || offset > MAX_SIZE) {
+    throw new Error('Archive is too large for a ZIP file');
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * CRC-32 (IEEE 802.3) checksum of a byte array
+ */
+export function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * DEFLATE without zlib framing, or null when CompressionStream is unavailable
+ */
+async function deflateRaw(data) {
+  if (typeof CompressionStream === 'undefined') {
+    return null;
+  }
+
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (error) {
+    // Older browsers only support 'gzip' and 'deflate'
+    return null;
+  }
+}
+
+async function toBytes(content) {
+  if (content instanceof Uint8Array) {
+    return content;
+  }
+  if (typeof Blob !== 'undefined' && content instanceof Blob) {
+    return new Uint8Array(await content.arrayBuffer());
+  }
+  return new TextEncoder().encode(String(content ?? ''));
+}
+
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Compression Worker
+ * Runs one compression job at a time off the main thread.
+ *
+ * Messages in:  { id, fileType, content, level, options }   (content: string, or a Blob read here)
+ *               { id, fileType, file, level, options }      (file: Blob, streamed)
+ *               { type: 'load-plugin', url }
+ * Messages out: { id, type: 'progress', stage }              (stage: read, then parse, compress, serialize as the engine reaches them)
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+
+import { runCompression, runStreamingCompression } from '../compression/engines.js';
+import { loadPlugin } from '../utils/plugins.js';
+
+// Plugins load before any job that was queued after them
+let pluginsReady = Promise.resolve();
+
+self.addEventListener('message', async (event) => {
+  if (event.data.type === 'load-plugin') {
+    const { url } = event.data;
+    pluginsReady = pluginsReady
+      .then(() => loadPlugin(url))
+      .catch(error => console.error(`Could not load plugin ${url}:`, error));
+    return;
+  }
+
+  const { id, fileType, content, file, level, options } = event.data;
+
+  try {
+    await pluginsReady;
+    const onStage = stage => self.postMessage({ id, type: 'progress', stage });
+    let result;
+    if (file) {
+      // Streaming engines read the input as they compress it
+      result = await runStreamingCompression(fileType, () => file.stream(), level, options, null, onStage);
+    } else {
+      let text = content;
+      if (typeof content !== 'string') {
+        onStage('read');
+        text = await content.text();
+      }
+      result = await runCompression(fileType, text, level, options, onStage);
+    }
+
+    self.postMessage({ id, type: 'result', result }, getTransferables(result));
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+});
+
+// Binary output (e.g. Arrow) moves to the main thread instead of being copied
+function getTransferables(result) {
+  const output = result.compressed;
+  return output instanceof Uint8Array && output.byteLength === output.buffer.byteLength ? [output.buffer] : [];
+}